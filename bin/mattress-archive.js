@@ -0,0 +1,914 @@
+#!/usr/bin/env node
+require('dotenv').config();
+const { Command, Option, InvalidArgumentError, CommanderError } = require('commander');
+const fs = require('fs-extra');
+const path = require('path');
+const log = require('../lib/log');
+const { CONFIG_FILE, TABLES, defaultConfig, parseTableNames, loadConfigFile, applyProfile } = require('../lib/config');
+const { createAirtableClient, describeError } = require('../lib/airtable');
+const { EXPORTERS, parseFormats, writeFormat } = require('../lib/exporters');
+const { DERIVATIVES_DIR, tablePath, readTables, streamTables } = require('../lib/archive');
+const { REPORT_FILE, verifyArchive } = require('../lib/verify');
+const { createDownloader } = require('../lib/downloader');
+const { reportDownload, printDateMismatches, printDerivatives } = require('../lib/reporter');
+const { FAULT_TYPES, parseFaults, createMockServer } = require('../lib/mock-server');
+const { SNAPSHOTS_DIR, listSnapshots, findSnapshot, readSnapshot } = require('../lib/snapshots');
+const { diffArchives } = require('../lib/diff');
+const { parseDateBound } = require('../lib/filter');
+const { addImageMetadata } = require('../lib/metadata');
+const { normalizeRenditions, addDerivatives } = require('../lib/derivatives');
+const { SITE_DIR, buildSite } = require('../lib/site');
+const { createApiServer } = require('../lib/api-server');
+const { withLock } = require('../lib/lock');
+const { parseSchedule } = require('../lib/schedule');
+const { HISTORY_FILE, createDaemon } = require('../lib/daemon');
+const { PACKAGE_TYPES, PACKAGES_DIR, parseSize, createPackage, validatePackages } = require('../lib/package');
+const { formatBytes } = require('../lib/progress');
+const { parseStorageUrl } = require('../lib/storage');
+const { runPreflight } = require('../lib/preflight');
+const { ConfigError, AirtableError, SchemaError, LockError } = require('../lib/errors');
+
+// Exit codes of the command line interface
+const EXIT_CODES = {
+  SUCCESS: 0,
+  FAILURE: 1,     // Unexpected error while running a command
+  USAGE: 2,       // Unknown command or invalid flags
+  CONFIG: 3,      // Missing credentials or invalid configuration
+  AIRTABLE: 4,    // Airtable rejected a request (auth, missing table, ...)
+  VERIFY: 5,      // The verify or validate-package command found problems
+  LOCKED: 6       // Another run holds the archive lock
+};
+
+// Problems printed by the verify command; the report file has all of them
+const MAX_PRINTED_PROBLEMS = 50;
+
+// Longest field value printed by the diff command
+const MAX_PRINTED_VALUE = 80;
+
+// Error with the exit code the process should end with
+class CliError extends Error {
+  constructor(message, exitCode) {
+    super(message);
+    this.name = 'CliError';
+    this.exitCode = exitCode;
+  }
+}
+
+// Flag parsers
+function parsePositiveInt(value) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number <= 0) {
+    throw new InvalidArgumentError('Expected a positive whole number.');
+  }
+  return number;
+}
+
+function parseTables(value) {
+  try {
+    return parseTableNames(value);
+  } catch (error) {
+    throw new InvalidArgumentError(error.message);
+  }
+}
+
+function parseFormatList(value) {
+  try {
+    return parseFormats(value);
+  } catch (error) {
+    throw new InvalidArgumentError(error.message);
+  }
+}
+
+function parseFaultList(value) {
+  try {
+    return parseFaults(value);
+  } catch (error) {
+    throw new InvalidArgumentError(error.message);
+  }
+}
+
+function parseDate(value) {
+  try {
+    parseDateBound(value);
+    return value;
+  } catch (error) {
+    throw new InvalidArgumentError(error.message);
+  }
+}
+
+// Repeatable flags collect their values in a list
+function collect(value, previous = []) {
+  return [...previous, value];
+}
+
+function parseScheduleExpression(value) {
+  try {
+    parseSchedule(value);
+    return value;
+  } catch (error) {
+    throw new InvalidArgumentError(error.message);
+  }
+}
+
+function parseSizeLimit(value) {
+  try {
+    return parseSize(value);
+  } catch (error) {
+    throw new InvalidArgumentError(error.message);
+  }
+}
+
+function parseStorage(value) {
+  try {
+    parseStorageUrl(value);
+    return value;
+  } catch (error) {
+    throw new InvalidArgumentError(error.message);
+  }
+}
+
+function parseSeed(value) {
+  const number = Number(value);
+  if (!Number.isInteger(number)) {
+    throw new InvalidArgumentError('Expected a whole number.');
+  }
+  return number;
+}
+
+// Read the config file given with --config, or archive.config.json if it exists
+function readConfigFile(filePath) {
+  if (!filePath && !fs.existsSync(CONFIG_FILE)) {
+    return {};
+  }
+  
+  return loadConfigFile(filePath || CONFIG_FILE);
+}
+
+// Profile of the config file by name
+function findProfile(file, name) {
+  const profiles = file.PROFILES || {};
+  if (!profiles[name]) {
+    const names = Object.keys(profiles);
+    throw new CliError(`Unknown profile "${name}". ${names.length > 0 ? `Profiles in the config file: ${names.join(', ')}` : 'The config file has no profiles'}`, EXIT_CODES.CONFIG);
+  }
+  return profiles[name];
+}
+
+// Build the run configuration from the defaults (.env), the config file, the selected profile and
+// the global and command flags. Commands that only read the local archive don't need credentials.
+function buildConfig(command, { credentials = true, profile = null } = {}) {
+  const options = command.optsWithGlobals();
+  let config = defaultConfig();
+  const file = readConfigFile(options.config);
+  
+  config.TABLE_NAMES = { ...config.TABLE_NAMES, ...file.TABLE_NAMES };
+  config.TABLE_OPTIONS = file.TABLE_OPTIONS || {};
+  config.FILTER = { ...file.FILTER };
+  if (file.EXPAND_DEPTH !== undefined) config.EXPAND_DEPTH = file.EXPAND_DEPTH;
+  if (file.RENDITIONS) config.RENDITIONS = file.RENDITIONS;
+  
+  // A profile brings its own base, token, output directory and table names
+  const profileName = profile || options.profile;
+  const selected = profileName ? findProfile(file, profileName) : null;
+  if (selected) config = applyProfile(config, selected);
+  
+  // --out has a default, so with a profile it only counts when it's given
+  if (options.out && (!selected || command.getOptionValueSourceWithGlobals('out') === 'cli')) config.OUTPUT_DIR = options.out;
+  if (options.view) config.VIEW = options.view;
+  if (options.tables) config.TABLE_NAMES = { ...config.TABLE_NAMES, ...options.tables };
+  if (options.sample) config.SAMPLE_SIZE = { ...config.SAMPLE_SIZE, [TABLES.MATTRESSES]: options.sample };
+  // A fixed delay between requests is a token bucket without bursts
+  if (options.delay) config.API_RATE_LIMIT = 1000 / options.delay;
+  if (options.concurrency) config.IMAGE_CONCURRENCY = options.concurrency;
+  if (options.restart) config.RESTART = true;
+  if (options.verifyImages) config.VERIFY_IMAGES = true;
+  if (options.format) config.FORMATS = options.format;
+  if (options.record) config.RECORD_DIR = options.record;
+  if (options.storage) config.STORAGE = options.storage;
+  if (options.bandwidth) config.BANDWIDTH = options.bandwidth;
+  if (options.snapshot === false) config.SNAPSHOT = false;
+  if (options.metadata === false) config.METADATA = false;
+  if (options.derivatives === false) config.DERIVATIVES = false;
+  
+  // Filter flags replace the same keys of the config file's filter
+  if (options.mattressView) config.FILTER.view = options.mattressView;
+  if (options.formula) config.FILTER.formula = options.formula;
+  if (options.from) config.FILTER.from = options.from;
+  if (options.to) config.FILTER.to = options.to;
+  if (options.photographer) config.FILTER.photographers = options.photographer;
+  if (options.location) config.FILTER.locations = options.location;
+  
+  // A replay gets its base ID from the recording and doesn't need a token
+  if (credentials && !options.replay && (!config.BASE_ID || !config.API_KEY)) {
+    throw new CliError(selected
+      ? `${selected.tokenEnv} must be set to the token of profile "${selected.name}" (in the environment or a .env file)`
+      : 'BASE_ID and BASE_API_KEY must be set (in the environment or a .env file)', EXIT_CODES.CONFIG);
+  }
+  
+  return config;
+}
+
+function createClient(config) {
+  return createAirtableClient({
+    baseId: config.BASE_ID,
+    apiKey: config.API_KEY,
+    apiUrl: config.API_URL,
+    rateLimit: config.API_RATE_LIMIT,
+    onRateLimit: (wait) => log.warning(`Rate limit exceeded. Waiting ${Math.round(wait / 1000)} seconds before retrying...`)
+  });
+}
+
+// Describe a field value for the inspect commands
+function describeValue(value) {
+  return `${typeof value} (${Array.isArray(value) ? 'array' : 'not array'})`;
+}
+
+// Attachment fields hold arrays of objects with a url and filename
+function isAttachmentValue(value) {
+  return Array.isArray(value) && value.length > 0 && value.every(item => item && item.url && item.filename);
+}
+
+// Run the preflight of a download: the token can read the base schema and the records of every
+// configured table, and the configured tables, fields and views exist
+async function check(config) {
+  log.info(`Base ID: ${config.BASE_ID}`);
+  log.info(`API Key: ${config.API_KEY.substring(0, 10)}...`);
+  
+  const spinner = log.spinner('Checking Airtable access...').start();
+  const { schemaTables, tables, problems } = await runPreflight(createClient(config), config);
+  if (schemaTables) {
+    spinner.succeed('The token can read the schema. Tables in this base:');
+    schemaTables.forEach(table => log.info(`- ${table.name} (ID: ${table.id})`));
+  } else {
+    spinner.fail('The token can\'t read the schema of this base');
+  }
+  
+  problems.filter(problem => !problem.table).forEach(problem => log.error(problem.message));
+  for (const [key, table] of Object.entries(tables)) {
+    const tableProblems = problems.filter(problem => problem.table === key);
+    if (tableProblems.length === 0) {
+      log.success(`${key}: ${table.name}${table.id ? ` (ID: ${table.id})` : ''}, ${table.fields.length} configured ${table.fields.length === 1 ? 'field' : 'fields'}, records readable`);
+    }
+    tableProblems.forEach(problem => log.error(problem.message));
+  }
+  
+  if (problems.length > 0) {
+    throw new CliError(`Found ${problems.length} problems with the access to the base or the configured tables`, EXIT_CODES.AIRTABLE);
+  }
+  log.success('All configured tables, fields and views are present and readable');
+}
+
+// Show the fields of sample records from a table
+async function inspect(config, table, options) {
+  const tableName = config.TABLE_NAMES[table] || table;
+  log.info(`Fetching ${options.records} sample record(s) from ${tableName}...`);
+  
+  const { records } = await createClient(config).listRecords(tableName, { maxRecords: options.records, view: config.VIEW });
+  
+  if (records.length === 0) {
+    log.warning(`No records found in ${tableName}`);
+    return;
+  }
+  
+  const fieldTypes = {};
+  for (const record of records) {
+    console.log(`Record ID: ${record.id}`);
+    console.log(`Fields in ${tableName}:`, JSON.stringify(record.fields, null, 2));
+    Object.entries(record.fields).forEach(([key, value]) => {
+      fieldTypes[key] = describeValue(value);
+    });
+  }
+  
+  console.log(`Available fields in ${tableName}:`);
+  Object.entries(fieldTypes).forEach(([key, type]) => console.log(`- ${key}: ${type}`));
+}
+
+// Show the attachment fields of a sample mattress record
+async function inspectImages(config, options) {
+  const tableName = config.TABLE_NAMES[TABLES.MATTRESSES];
+  log.info('Fetching a sample mattress record to debug image fields...');
+  
+  const { records } = await createClient(config).listRecords(tableName, { maxRecords: 1, view: config.VIEW });
+  
+  if (records.length === 0) {
+    log.warning('No records found');
+    return;
+  }
+  
+  const record = records[0];
+  console.log('Record ID:', record.id);
+  
+  const fields = options.field
+    ? [options.field]
+    : Object.keys(record.fields).filter(key => isAttachmentValue(record.fields[key]));
+  
+  if (fields.length === 0) {
+    log.warning('No attachment fields found in the record. Available fields:');
+    Object.keys(record.fields).forEach(key => console.log(`- ${key}: ${describeValue(record.fields[key])}`));
+    return;
+  }
+  
+  for (const field of fields) {
+    const value = record.fields[field];
+    if (value === undefined) {
+      log.warning(`Field "${field}" is empty or doesn't exist in record ${record.id}`);
+      continue;
+    }
+    
+    console.log(`Field "${field}": ${describeValue(value)}`);
+    console.log(JSON.stringify(value, null, 2));
+  }
+}
+
+// Read the table files of a downloaded archive. With stream they're only opened to be read
+// record by record, see streamTables() in lib/archive.js.
+function readArchive(config, { stream = false } = {}) {
+  const data = stream ? streamTables(config.OUTPUT_DIR) : readTables(config.OUTPUT_DIR);
+  if (!data) {
+    throw new CliError(`No archive found in ${config.OUTPUT_DIR}. Run the download command first.`, EXIT_CODES.CONFIG);
+  }
+  return data;
+}
+
+// Write a downloaded archive in other output formats. Streaming formats read the table files
+// record by record; the others get every table in memory, read once for all of them.
+async function exportArchive(config) {
+  let data = null;
+  
+  for (const format of config.FORMATS) {
+    const tables = EXPORTERS[format].streams ? readArchive(config, { stream: true }) : (data = data || readArchive(config));
+    const spinner = log.spinner(`Writing ${format} export...`).start();
+    const result = await writeFormat(format, tables, config.OUTPUT_DIR);
+    spinner.succeed(`Wrote ${format} export: ${result.files.join(', ')}`);
+    
+    if (result.counts) {
+      Object.entries(result.counts).forEach(([table, count]) => log.info(`${table}: ${count} rows`));
+    }
+  }
+}
+
+// Write the static gallery of a downloaded archive
+async function buildSiteCommand(config) {
+  const data = readArchive(config);
+  
+  const spinner = log.spinner('Building site...').start();
+  const site = await buildSite(config.OUTPUT_DIR, data);
+  spinner.succeed(`Wrote ${site.pages} pages to ${site.dir}`);
+  log.info(`Open ${path.join(site.dir, 'index.html')} in a browser to browse the archive`);
+}
+
+// Check the files and links of a downloaded archive and write a report
+async function verify(config, options) {
+  const data = readArchive(config);
+  const reportPath = options.report || path.join(config.OUTPUT_DIR, REPORT_FILE);
+  
+  const spinner = log.spinner('Verifying archive...').start();
+  const report = await verifyArchive(config.OUTPUT_DIR, data, {
+    decode: options.decode,
+    onProgress: (checked, total) => {
+      spinner.text = `Verifying attachments ${checked}/${total}...`;
+    }
+  });
+  spinner.succeed(`Checked ${report.summary.attachments} attachments of ${report.summary.records} records`);
+  
+  fs.outputJsonSync(reportPath, report, { spaces: 2 });
+  log.info(`Report written to ${reportPath}`);
+  
+  if (report.problems.length === 0) {
+    log.success('No problems found');
+    return;
+  }
+  
+  Object.entries(report.summary.byType).forEach(([type, count]) => log.warning(`${type}: ${count}`));
+  report.problems.slice(0, MAX_PRINTED_PROBLEMS).forEach(problem => {
+    log.warning(`  ${problem.path || problem.recordId}: ${problem.message}`);
+  });
+  if (report.problems.length > MAX_PRINTED_PROBLEMS) {
+    log.warning(`  ... and ${report.problems.length - MAX_PRINTED_PROBLEMS} more, see the report`);
+  }
+  
+  throw new CliError(`Found ${report.problems.length} problems in the archive`, EXIT_CODES.VERIFY);
+}
+
+// Package the table files and images as BagIt bags, e.g. to hand the archive over or put it into cold storage
+async function packageArchive(config, options) {
+  readArchive(config);
+  
+  const spinner = log.spinner('Packaging archive...').start();
+  const result = await createPackage(config.OUTPUT_DIR, {
+    dest: options.dest,
+    type: options.type,
+    splitSize: options.splitSize,
+    name: options.name,
+    baseId: config.BASE_ID,
+    onProgress: (done, total) => {
+      spinner.text = `Packaging files ${done}/${total}...`;
+    }
+  });
+  spinner.succeed(`Packaged ${result.files} files (${formatBytes(result.bytes)}) into ${result.packages.length === 1 ? 'one bag' : `${result.packages.length} bags`}`);
+  result.packages.forEach(bag => log.info(`- ${bag.path}: ${bag.files} files, ${formatBytes(bag.bytes)}`));
+}
+
+// Check the checksums of packages, e.g. after they were handed over
+async function validatePackage(paths) {
+  const spinner = log.spinner('Validating packages...').start();
+  const { bags, problems } = await validatePackages(paths, {
+    onBag: (bag) => {
+      spinner.text = `Validated ${bag.name}`;
+    }
+  });
+  spinner.succeed(`Validated ${bags.length} ${bags.length === 1 ? 'bag' : 'bags'}`);
+  
+  bags.forEach(bag => {
+    const part = bag.info['Bag-Count'] ? ` (part ${bag.info['Bag-Count']})` : '';
+    const line = `${bag.name}${part}: ${bag.files} files, ${formatBytes(bag.bytes)}`;
+    (bag.problems.length === 0 ? log.success : log.warning)(bag.problems.length === 0 ? `${line}, valid` : `${line}, ${bag.problems.length} problems`);
+  });
+  
+  if (problems.length === 0) {
+    return;
+  }
+  
+  problems.slice(0, MAX_PRINTED_PROBLEMS).forEach(problem => {
+    log.warning(`  ${problem.bag}: ${problem.path}: ${problem.message}`);
+  });
+  if (problems.length > MAX_PRINTED_PROBLEMS) {
+    log.warning(`  ... and ${problems.length - MAX_PRINTED_PROBLEMS} more`);
+  }
+  
+  throw new CliError(`Found ${problems.length} problems in the packages`, EXIT_CODES.VERIFY);
+}
+
+// Read the EXIF, GPS and IPTC metadata of the downloaded images into the mattress table
+async function metadata(config, options) {
+  const data = readArchive(config);
+  
+  const spinner = log.spinner('Reading image metadata...').start();
+  const summary = await addImageMetadata(config.OUTPUT_DIR, data[TABLES.MATTRESSES], {
+    concurrency: config.IMAGE_CONCURRENCY,
+    force: options.force,
+    onProgress: (done, total) => {
+      spinner.text = `Reading image metadata ${done}/${total}...`;
+    }
+  });
+  spinner.succeed(`Read metadata of ${summary.extracted} images (${summary.withGps} of ${summary.images} images have GPS coordinates)`);
+  
+  fs.writeJsonSync(tablePath(config.OUTPUT_DIR, TABLES.MATTRESSES), data[TABLES.MATTRESSES], { spaces: 2 });
+  log.info(`Updated ${tablePath(config.OUTPUT_DIR, TABLES.MATTRESSES)}. Run the export command to update the other formats.`);
+  
+  if (summary.failed > 0) {
+    log.warning(`${summary.failed} images have no readable metadata`);
+  }
+  printDateMismatches(summary.mismatches);
+}
+
+// Make the thumbnails and web-ready renditions of the downloaded images
+async function derivatives(config, options) {
+  const data = readArchive(config);
+  normalizeRenditions(config.RENDITIONS);
+  
+  const spinner = log.spinner('Making image renditions...').start();
+  const summary = await addDerivatives(config.OUTPUT_DIR, Object.values(TABLES).flatMap(tableName => data[tableName]), {
+    renditions: config.RENDITIONS,
+    force: options.force,
+    onProgress: (done, total) => {
+      spinner.text = `Making image renditions ${done}/${total}...`;
+    }
+  });
+  spinner.succeed(`Made ${summary.created} renditions of ${summary.images} images (${summary.upToDate} up to date)`);
+  
+  for (const tableName of Object.values(TABLES)) {
+    fs.writeJsonSync(tablePath(config.OUTPUT_DIR, tableName), data[tableName], { spaces: 2 });
+  }
+  log.info(`Updated the tables in ${path.dirname(tablePath(config.OUTPUT_DIR, TABLES.MATTRESSES))}. Run the export command to update the other formats.`);
+  printDerivatives(summary);
+}
+
+// List the snapshots of the archive
+async function snapshots(config) {
+  const list = listSnapshots(config.OUTPUT_DIR);
+  if (list.length === 0) {
+    log.warning(`No snapshots in ${path.join(config.OUTPUT_DIR, SNAPSHOTS_DIR)}`);
+    return;
+  }
+  
+  list.forEach(snapshot => {
+    const counts = Object.entries(snapshot.records).map(([table, count]) => `${count} ${table}`).join(', ');
+    console.log(`${snapshot.name}  ${counts}`);
+  });
+}
+
+// Short form of a field value for the diff output
+function printableValue(value) {
+  const text = value === undefined ? '(none)' : JSON.stringify(value);
+  return text.length > MAX_PRINTED_VALUE ? `${text.slice(0, MAX_PRINTED_VALUE - 3)}...` : text;
+}
+
+// Record ID plus its date or name for the diff output
+function recordLabel(record) {
+  const detail = record.date || record.name;
+  return detail ? `${record.id} (${detail})` : record.id;
+}
+
+// Print the changes between two snapshots as text
+function printDiff(from, to, diff) {
+  console.log(`Changes from ${from.name} to ${to.name}`);
+  Object.entries(diff.summary).forEach(([table, counts]) => {
+    console.log(`${table}: ${counts.added} added, ${counts.removed} removed, ${counts.modified} modified`);
+  });
+  
+  for (const [table, changes] of Object.entries(diff.tables)) {
+    if (!changes.added.length && !changes.removed.length && !changes.modified.length) {
+      continue;
+    }
+    
+    console.log(`\n${table}`);
+    changes.added.forEach(record => console.log(`  + ${recordLabel(record)}`));
+    changes.removed.forEach(record => console.log(`  - ${recordLabel(record)}`));
+    
+    for (const record of changes.modified) {
+      console.log(`  ~ ${record.id}`);
+      record.fields.forEach(({ field, from: before, to: after }) => {
+        console.log(`      ${field}: ${printableValue(before)} -> ${printableValue(after)}`);
+      });
+      Object.entries(record.links).forEach(([key, links]) => {
+        const changed = [...links.added.map(link => `+ ${link.name}`), ...links.removed.map(link => `- ${link.name}`)];
+        console.log(`      ${key}: ${changed.join(', ')}`);
+      });
+      record.images.added.forEach(image => console.log(`      + image ${image.path || image.id}`));
+      record.images.removed.forEach(image => console.log(`      - image ${image.path || image.id}`));
+      record.images.changed.forEach(image => console.log(`      ~ image ${image.path || image.id} (content changed)`));
+    }
+  }
+}
+
+// Compare two snapshots of the archive
+async function diff(config, from, to, options) {
+  const before = findSnapshot(config.OUTPUT_DIR, from);
+  const after = findSnapshot(config.OUTPUT_DIR, to);
+  const changes = diffArchives(readSnapshot(before), readSnapshot(after));
+  
+  if (options.json) {
+    console.log(JSON.stringify({ from: before.name, to: after.name, ...changes }, null, 2));
+  } else {
+    printDiff(before, after, changes);
+  }
+}
+
+// Wrap a command handler: build the configuration and pass it first. With --all-profiles the
+// handler runs once per profile of the config file; a profile that fails doesn't stop the others.
+// Commands that run until they're stopped pass allProfiles: false.
+function withConfig(handler, options = {}) {
+  return async (...args) => {
+    const command = args[args.length - 1];
+    const globals = command.optsWithGlobals();
+    if (!globals.allProfiles) {
+      await handler(buildConfig(command, options), ...args.slice(0, -1));
+      return;
+    }
+    
+    if (options.allProfiles === false) {
+      throw new CliError(`The ${command.name()} command runs until it's stopped, so it takes a single --profile`, EXIT_CODES.USAGE);
+    }
+    if (command.getOptionValueSourceWithGlobals('out') === 'cli') {
+      throw new CliError('--out can\'t be combined with --all-profiles: every profile has its own output directory', EXIT_CODES.USAGE);
+    }
+    const names = Object.keys(readConfigFile(globals.config).PROFILES || {});
+    if (names.length === 0) {
+      throw new CliError('--all-profiles needs profiles in the config file', EXIT_CODES.CONFIG);
+    }
+    
+    const failed = [];
+    for (const name of names) {
+      log.info(`Profile ${name}`);
+      try {
+        await handler(buildConfig(command, { ...options, profile: name }), ...args.slice(0, -1));
+      } catch (error) {
+        log.error(`Profile ${name}: ${errorMessage(error)}`);
+        failed.push({ name, error });
+      }
+    }
+    if (failed.length > 0) {
+      throw new CliError(`${failed.length} of ${names.length} profiles failed: ${failed.map(({ name }) => name).join(', ')}`, exitCodeFor(failed[0].error));
+    }
+  };
+}
+
+// Wrap a handler that rewrites the table files so it holds the archive lock, like a download
+function locked(name, handler) {
+  return (config, ...args) => withLock(config.OUTPUT_DIR, name, () => handler(config, ...args));
+}
+
+// Run a downloader with terminal output. With --dry-run it only plans the download, and
+// --json prints the plan as JSON instead.
+async function runDownloader(downloader, options) {
+  if (!options.dryRun) {
+    reportDownload(downloader);
+    await downloader.run();
+  } else if (options.json) {
+    console.log(JSON.stringify(await downloader.plan(), null, 2));
+  } else {
+    reportDownload(downloader);
+    await downloader.plan();
+  }
+}
+
+// Download or sync the archive, printing progress as it goes.
+// With --replay the run reads a recording from a mock server started for the run.
+async function download(config, options) {
+  if (!options.replay) {
+    await runDownloader(createDownloader(config), options);
+    return;
+  }
+  
+  const server = createMockServer(options.replay, { faults: options.faults, seed: options.seed });
+  const apiUrl = await server.listen();
+  log.info(`Replaying ${options.replay} (recorded ${server.recordedAt})${options.faults ? ` with faults ${JSON.stringify(options.faults)}` : ''}`);
+  
+  try {
+    await runDownloader(createDownloader({ ...config, API_URL: apiUrl, BASE_ID: server.baseId, API_KEY: config.API_KEY || 'replay' }), options);
+  } finally {
+    await server.close();
+  }
+}
+
+// Sync the archive on a schedule and on Airtable webhook notifications until Ctrl+C
+async function watch(config, options) {
+  const daemon = createDaemon(config, {
+    schedule: options.schedule,
+    runAtStart: options.now,
+    webhook: options.webhookPort ? { port: options.webhookPort, host: options.webhookHost, secret: config.WEBHOOK_SECRET } : null
+  });
+  
+  daemon.on('scheduled', ({ next }) => log.info(`Next scheduled run: ${next.toLocaleString()}`));
+  daemon.on('run:start', ({ trigger, tables, downloader }) => {
+    log.info(`Starting ${tables ? `sync of ${tables.join(', ')}` : 'sync'} (${trigger})`);
+    reportDownload(downloader);
+  });
+  daemon.on('run:done', (entry) => {
+    const line = `Run ${entry.status} after ${Math.round(entry.durationMs / 1000)}s${entry.error ? `: ${entry.error}` : ''}`;
+    (entry.status === 'success' ? log.success : log.error)(line);
+  });
+  daemon.on('webhook', ({ webhookId, tables }) => {
+    if (tables && tables.length === 0) {
+      log.info(`Webhook ${webhookId}: no table changes`);
+    } else {
+      log.info(`Webhook ${webhookId}: ${tables ? tables.join(', ') : 'all tables'} changed`);
+    }
+  });
+  daemon.on('webhook:rejected', ({ status, reason }) => log.warning(`Rejected webhook request (${status}): ${reason}`));
+  daemon.on('warning', ({ message }) => log.warning(message));
+  
+  const webhookUrl = await daemon.start();
+  log.success(`Watching ${config.OUTPUT_DIR} with schedule "${options.schedule}". Runs are logged to ${path.join(config.OUTPUT_DIR, HISTORY_FILE)}.`);
+  if (webhookUrl) {
+    log.info(`Accepting Airtable webhook notifications at ${webhookUrl}${config.WEBHOOK_SECRET ? '' : ' (unsigned, set AIRTABLE_WEBHOOK_SECRET to check signatures)'}`);
+  }
+  
+  await new Promise(resolve => process.once('SIGINT', resolve));
+  if (daemon.isRunning()) {
+    log.info('Waiting for the current run to finish (press Ctrl+C again to stop now; the next run resumes it)...');
+  }
+  await daemon.stop();
+}
+
+// Serve a recording as a stand-in for the Airtable API until the process is stopped
+async function mockServer(dir, options) {
+  const server = createMockServer(dir, {
+    faults: options.faults,
+    seed: options.seed,
+    onRequest: ({ method, path: requestPath, status, fault }) => {
+      const line = `${method} ${requestPath} ${status}${fault ? ` (injected ${fault})` : ''}`;
+      (fault ? log.warning : log.info)(line);
+    }
+  });
+  const apiUrl = await server.listen(options.port);
+  
+  log.success(`Serving ${dir} (recorded ${server.recordedAt}) at ${apiUrl}`);
+  log.info(`Point downloads at it with AIRTABLE_API_URL=${apiUrl} BASE_ID=${server.baseId}`);
+  
+  await new Promise(resolve => process.once('SIGINT', resolve));
+  await server.close();
+}
+
+// Serve the downloaded archive over a read-only HTTP API until Ctrl+C
+async function serve(config, options) {
+  readArchive(config);
+  const server = createApiServer(config.OUTPUT_DIR, {
+    onRequest: ({ method, path: requestPath, status }) => {
+      (status >= 400 ? log.warning : log.info)(`${method} ${requestPath} ${status}`);
+    },
+    onReload: ({ records, error }) => {
+      if (error) {
+        log.warning(`Couldn't reload the tables (${error.message}); serving the previous data`);
+      } else {
+        log.success(`Reloaded the tables: ${Object.entries(records).map(([tableName, count]) => `${count} ${tableName}`).join(', ')}`);
+      }
+    }
+  });
+  const url = await server.listen(options.port, options.host);
+  
+  log.success(`Serving ${config.OUTPUT_DIR} at ${url}`);
+  log.info(`Try ${url}/mattresses?limit=10. The tables are reloaded when a download changes them.`);
+  
+  await new Promise(resolve => process.once('SIGINT', resolve));
+  await server.close();
+}
+
+function errorMessage(error) {
+  return error instanceof CliError ? error.message : describeError(error);
+}
+
+function exitCodeFor(error) {
+  if (error instanceof CliError) return error.exitCode;
+  if (error instanceof ConfigError) return EXIT_CODES.CONFIG;
+  if (error instanceof LockError) return EXIT_CODES.LOCKED;
+  if (error instanceof AirtableError || error instanceof SchemaError || error.response) return EXIT_CODES.AIRTABLE;
+  return EXIT_CODES.FAILURE;
+}
+
+// --faults and --seed flags of the commands that start a mock server
+function addFaultOptions(command) {
+  return command
+    .option('--faults <faults>', `inject faults into a share of the requests, e.g. "429=0.1,5xx=0.05" (${Object.keys(FAULT_TYPES).join(', ')})`, parseFaultList)
+    .option('--seed <number>', 'seed for choosing the requests faults are injected into', parseSeed, 1);
+}
+
+// --format flag listing the available exporters
+function formatOption(description, defaultFormat) {
+  return new Option('--format <formats>', `${description}, comma-separated (${Object.keys(EXPORTERS).join(', ')})`)
+    .argParser(parseFormatList)
+    .default([defaultFormat], defaultFormat);
+}
+
+function createProgram() {
+  const program = new Command();
+  
+  program
+    .name('mattress-archive')
+    .description('Download and inspect the Horizontal Mattress Airtable base')
+    .option('--out <dir>', 'output directory of the archive', defaultConfig().OUTPUT_DIR)
+    .option('--view <name>', 'Airtable view to read records from', defaultConfig().VIEW)
+    .option('--config <file>', `config file with field selection and link expansion (default: ${CONFIG_FILE} if present)`)
+    .option('--tables <mapping>', `Airtable table names, e.g. "${TABLES.MATTRESSES}=Mattresses,${TABLES.PHOTOGRAPHER}=Photographers"`, parseTables)
+    .option('--profile <name>', 'use the base, token, tables and output directory of a profile in the config file')
+    .addOption(new Option('--all-profiles', 'run the command for every profile in the config file, one after the other').conflicts('profile'))
+    .showHelpAfterError()
+    .exitOverride();
+  
+  addFaultOptions(program
+    .command('download')
+    .description('download all tables and images, or sync an existing archive')
+    .option('--sample <count>', 'only download the first <count> mattresses', parsePositiveInt)
+    .option('--delay <ms>', 'minimum delay between Airtable API requests', parsePositiveInt)
+    .option('--concurrency <count>', 'number of parallel image downloads', parsePositiveInt)
+    .option('--restart', 'discard the checkpoint of an interrupted run')
+    .option('--verify-images', 'hash every stored image again instead of trusting the ones of the expected size')
+    .option('--no-snapshot', `don't keep a snapshot of this run in <out>/${SNAPSHOTS_DIR}`)
+    .option('--no-metadata', 'skip reading EXIF, GPS and IPTC metadata from new images')
+    .option('--no-derivatives', 'skip making thumbnails and web-ready renditions of new images')
+    .option('--from <date>', 'only mattresses photographed on or after <date> (YYYY, YYYY-MM or YYYY-MM-DD)', parseDate)
+    .option('--to <date>', 'only mattresses photographed on or before <date> (YYYY, YYYY-MM or YYYY-MM-DD)', parseDate)
+    .option('--photographer <name>', 'only mattresses by this photographer (repeat for several)', collect)
+    .option('--location <name>', 'only mattresses from this location (repeat for several)', collect)
+    .option('--formula <formula>', 'only mattresses matching this Airtable filterByFormula')
+    .option('--mattress-view <name>', 'read mattresses from this view (other tables use --view)')
+    .option('--storage <url>', 'write images, tables and exports to object storage, e.g. s3://bucket/prefix', parseStorage)
+    .addOption(formatOption('output formats written after the download', 'json'))
+    .option('--dry-run', 'only fetch the records and report the images, bytes and time a download would take')
+    .addOption(new Option('--json', 'print the plan of --dry-run as JSON').implies({ dryRun: true }))
+    .option('--bandwidth <size>', 'expected download speed per second for the estimate of --dry-run, e.g. 20M', parseSizeLimit)
+    .addOption(new Option('--record <dir>', 'record the Airtable responses and attachments to <dir>').conflicts(['replay', 'dryRun']))
+    .option('--replay <dir>', 'read Airtable from a recording made with --record instead of the network'))
+    .action(withConfig(download));
+  
+  program
+    .command('watch')
+    .description('keep the archive in sync: download on a schedule and when Airtable webhooks report changes')
+    .option('--schedule <cron>', 'cron schedule of the runs (minute hour day-of-month month day-of-week)', parseScheduleExpression, '0 * * * *')
+    .option('--now', 'also run once right away')
+    .option('--webhook-port <port>', 'accept Airtable webhook notifications on this port', parsePositiveInt)
+    .option('--webhook-host <host>', 'address the webhook endpoint listens on', '127.0.0.1')
+    .option('--no-snapshot', `don't keep a snapshot of every run in <out>/${SNAPSHOTS_DIR}`)
+    .option('--storage <url>', 'write images, tables and exports to object storage, e.g. s3://bucket/prefix', parseStorage)
+    .addOption(formatOption('output formats written after every run', 'json'))
+    .action(withConfig(watch, { allProfiles: false }));
+  
+  program
+    .command('export')
+    .description('write the downloaded archive in other output formats')
+    .addOption(formatOption('output formats', 'sqlite'))
+    .action(withConfig(exportArchive, { credentials: false }));
+  
+  program
+    .command('build-site')
+    .description(`write a static HTML gallery of the downloaded archive to <out>/${SITE_DIR}`)
+    .action(withConfig(buildSiteCommand, { credentials: false }));
+  
+  program
+    .command('verify')
+    .description('check images (magic bytes, decoding, checksums), orphaned folders and links between tables')
+    .option('--no-decode', 'skip decoding images, which is the slowest check')
+    .option('--report <file>', `where to write the JSON report (default: <out>/${REPORT_FILE})`)
+    .action(withConfig(verify, { credentials: false }));
+  
+  program
+    .command('package')
+    .description('package the tables and images as BagIt bags with a SHA-256 manifest')
+    .addOption(new Option('--type <type>', 'bag directory or one file per bag').choices(Object.keys(PACKAGE_TYPES)).default('bag'))
+    .option('--dest <dir>', `directory the packages are written to (default: <out>/${PACKAGES_DIR})`)
+    .option('--split-size <size>', 'split into bags of at most this size, e.g. 700M or 4G', parseSizeLimit)
+    .option('--name <name>', 'name of the bag (default: mattress-archive-<date>)')
+    .action(withConfig(locked('package', packageArchive), { credentials: false }));
+  
+  program
+    .command('validate-package')
+    .description('check the checksums and manifests of packages made by the package command')
+    .argument('<paths...>', 'bag directories, .tar.gz or .zip files, or directories holding them')
+    .action(validatePackage);
+  
+  program
+    .command('metadata')
+    .description('read EXIF, GPS and IPTC metadata of the downloaded images into the mattress records')
+    .option('--force', 'read images that already have metadata again')
+    .action(withConfig(locked('metadata', metadata), { credentials: false }));
+  
+  program
+    .command('derivatives')
+    .description(`make thumbnails and web-ready renditions of the downloaded images in <out>/${DERIVATIVES_DIR}`)
+    .option('--force', 'make every rendition again, even if it is up to date')
+    .action(withConfig(locked('derivatives', derivatives), { credentials: false }));
+  
+  program
+    .command('snapshots')
+    .description('list the snapshots kept by earlier downloads')
+    .action(withConfig(snapshots, { credentials: false }));
+  
+  program
+    .command('diff')
+    .description('show added, removed and modified records between two snapshots')
+    .argument('<from>', 'snapshot name, a unique prefix of it, "latest" or "previous"')
+    .argument('<to>', 'snapshot to compare with')
+    .option('--json', 'print the changes as JSON')
+    .action(withConfig(diff, { credentials: false }));
+  
+  program
+    .command('serve')
+    .description('serve the downloaded archive over a read-only HTTP API')
+    .option('--port <port>', 'port to listen on', parsePositiveInt, 4020)
+    .option('--host <host>', 'address to listen on', '127.0.0.1')
+    .action(withConfig(serve, { credentials: false, allProfiles: false }));
+  
+  program
+    .command('check')
+    .description('check that the token can read the schema and records and that the configured tables, fields and views exist')
+    .action(withConfig(check));
+  
+  program
+    .command('inspect')
+    .description('show the fields of sample records from a table')
+    .argument('<table>', `output table (${Object.values(TABLES).join(', ')}) or Airtable table name`)
+    .option('--records <count>', 'number of sample records', parsePositiveInt, 1)
+    .action(withConfig(inspect));
+  
+  program
+    .command('inspect-images')
+    .description('show the attachment fields of a sample mattress record')
+    .option('--field <name>', 'only show this field')
+    .action(withConfig(inspectImages));
+  
+  addFaultOptions(program
+    .command('mock-server')
+    .description('serve a recording made with download --record as a local stand-in for the Airtable API')
+    .argument('<dir>', 'recording directory')
+    .option('--port <port>', 'port to listen on', parsePositiveInt, 4010))
+    .action(mockServer);
+  
+  return program;
+}
+
+async function run(argv = process.argv) {
+  try {
+    await createProgram().parseAsync(argv);
+    return EXIT_CODES.SUCCESS;
+  } catch (error) {
+    if (error instanceof CommanderError) {
+      // Help and version output also end up here
+      return error.exitCode === 0 ? EXIT_CODES.SUCCESS : EXIT_CODES.USAGE;
+    }
+    
+    log.error(errorMessage(error));
+    return exitCodeFor(error);
+  }
+}
+
+if (require.main === module) {
+  run().then(code => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = {
+  EXIT_CODES,
+  run
+};
@@ -0,0 +1,43 @@
+// Library entry point. Everything here can be required without side effects:
+// nothing is written, requested or printed until a downloader's run() or plan() is called.
+const { createDownloader } = require('./lib/downloader');
+const { TABLES, defaultConfig, loadConfigFile, applyProfile } = require('./lib/config');
+const { EXPORTERS, writeFormat } = require('./lib/exporters');
+const { readTables } = require('./lib/archive');
+const { verifyArchive } = require('./lib/verify');
+const { createMockServer } = require('./lib/mock-server');
+const { listSnapshots, findSnapshot, readSnapshot } = require('./lib/snapshots');
+const { diffArchives } = require('./lib/diff');
+const { buildSite } = require('./lib/site');
+const { createApiServer } = require('./lib/api-server');
+const { createDaemon, readHistory } = require('./lib/daemon');
+const { createPackage, validatePackages } = require('./lib/package');
+const { createStorage } = require('./lib/storage');
+const { runPreflight } = require('./lib/preflight');
+const errors = require('./lib/errors');
+
+module.exports = {
+  createDownloader,
+  TABLES,
+  defaultConfig,
+  loadConfigFile,
+  applyProfile,
+  EXPORTERS,
+  writeFormat,
+  readTables,
+  verifyArchive,
+  createMockServer,
+  listSnapshots,
+  findSnapshot,
+  readSnapshot,
+  diffArchives,
+  buildSite,
+  createApiServer,
+  createDaemon,
+  readHistory,
+  createPackage,
+  validatePackages,
+  createStorage,
+  runPreflight,
+  ...errors
+};
@@ -0,0 +1,103 @@
+const axios = require('axios');
+const { TokenBucket, retryAfterMs, isTransientError, backoffMs, delay } = require('./rate-limit');
+const { AirtableError } = require('./errors');
+
+const AIRTABLE_API_URL = 'https://api.airtable.com/v0';
+
+// Shared Airtable REST client. Every request goes through one token bucket so all callers
+// together stay under the per-base rate limit. 429 responses are retried after Retry-After
+// (30 seconds if missing); onRateLimit is called with the wait in milliseconds.
+// Server errors (5xx) and network failures are retried up to retries times, waiting retryDelay
+// milliseconds and doubling it every time; onRetry is called with { attempt, wait, error } before each.
+// Other error responses are thrown as AirtableError.
+// apiUrl points the client at another server, e.g. the mock server of lib/mock-server.js;
+// onResponse is called with every final response (not the retried ones), e.g. to record it.
+function createAirtableClient({ baseId, apiKey, apiUrl = AIRTABLE_API_URL, rateLimit = 5, retries = 5, retryDelay = 1000, onRateLimit = () => {}, onRetry = () => {}, onResponse = () => {} }) {
+  const limiter = new TokenBucket({ rate: rateLimit });
+  const http = axios.create({
+    baseURL: apiUrl,
+    headers: {
+      'Authorization': `Bearer ${apiKey}`,
+      'Content-Type': 'application/json'
+    }
+  });
+  
+  const get = async (url, params = {}) => {
+    let attempt = 0;
+    for (;;) {
+      await limiter.take();
+      
+      try {
+        const response = await http.get(url, { params });
+        onResponse({ path: url, params }, response);
+        return response.data;
+      } catch (error) {
+        if (error.response && error.response.status === 429) {
+          const wait = retryAfterMs(error.response.headers, 30000);
+          limiter.pause(wait);
+          onRateLimit(wait);
+          continue;
+        }
+        if (attempt < retries && isTransientError(error)) {
+          attempt++;
+          const wait = backoffMs(attempt, retryDelay);
+          onRetry({ attempt, wait, error });
+          await delay(wait);
+          continue;
+        }
+        if (error.response) {
+          onResponse({ path: url, params }, error.response);
+          const apiError = error.response.data && error.response.data.error;
+          throw new AirtableError(describeError(error), {
+            status: error.response.status,
+            type: (apiError && apiError.type) || (typeof apiError === 'string' ? apiError : null),
+            cause: error
+          });
+        }
+        throw error;
+      }
+    }
+  };
+  
+  return {
+    baseId,
+    
+    // One page of records; pass params.offset to get the next page
+    listRecords(tableName, params = {}) {
+      return get(`/${baseId}/${encodeURIComponent(tableName)}`, params);
+    },
+    
+    // A single record, e.g. to get fresh attachment URLs
+    getRecord(tableName, recordId) {
+      return get(`/${baseId}/${encodeURIComponent(tableName)}/${recordId}`);
+    },
+    
+    // Change payloads of a webhook after the cursor (needs the webhook:manage scope)
+    listWebhookPayloads(webhookId, cursor = null) {
+      return get(`/bases/${baseId}/webhooks/${webhookId}/payloads`, cursor ? { cursor } : {});
+    },
+    
+    // Table and field schema of the base (needs the schema.bases:read scope)
+    async listTables() {
+      const data = await get(`/meta/bases/${baseId}/tables`);
+      return data.tables;
+    }
+  };
+}
+
+// Short description of an Airtable API error for log output
+function describeError(error) {
+  if (error instanceof AirtableError || !error.response) {
+    return error.message;
+  }
+  
+  const apiError = error.response.data && error.response.data.error;
+  const message = typeof apiError === 'string' ? apiError : (apiError && (apiError.message || apiError.type));
+  return `${error.response.status} ${message || error.response.statusText}`;
+}
+
+module.exports = {
+  AIRTABLE_API_URL,
+  createAirtableClient,
+  describeError
+};
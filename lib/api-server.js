@@ -0,0 +1,283 @@
+const http = require('http');
+const fs = require('fs-extra');
+const path = require('path');
+const { TABLES } = require('./config');
+const { IMAGES_DIR, TABLES_DIR, DERIVATIVES_DIR, readTables } = require('./archive');
+const { MIME_EXTENSIONS } = require('./attachments');
+const { linkIds } = require('./schema');
+const { parseDateBound } = require('./filter');
+const { ConfigError } = require('./errors');
+
+// Page size of list routes when no limit is given, and the largest one allowed
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+// Wait after the last change to a table file before reloading, so a sync writing all tables
+// causes one reload
+const RELOAD_DELAY = 500;
+
+// Directories of the archive served as static files, under the same path as in the image entries
+const STATIC_DIRS = [IMAGES_DIR, DERIVATIVES_DIR];
+
+// Content types of the served files by extension; the first type of an extension is its usual name
+// (image/jpeg rather than image/jpg)
+const CONTENT_TYPES = Object.fromEntries(Object.entries(MIME_EXTENSIONS).reverse().map(([type, extension]) => [extension, type]));
+
+// Error answered with a status code and a JSON body
+class HttpError extends Error {
+  constructor(status, type, message) {
+    super(message);
+    this.status = status;
+    this.type = type;
+  }
+}
+
+// Index of the table data for the routes: records by ID and mattresses by linked record
+function indexTables(data) {
+  const byId = Object.fromEntries(Object.values(TABLES).map(tableName => [
+    tableName, new Map(data[tableName].map(record => [record.id, record]))
+  ]));
+  
+  const linked = (key) => {
+    const groups = new Map();
+    for (const mattress of data[TABLES.MATTRESSES]) {
+      for (const id of linkIds(mattress[key])) {
+        if (!groups.has(id)) {
+          groups.set(id, []);
+        }
+        groups.get(id).push(mattress);
+      }
+    }
+    return groups;
+  };
+  
+  return {
+    data,
+    byId,
+    byPhotographer: linked('photographers'),
+    byLocation: linked('location'),
+    loadedAt: new Date().toISOString()
+  };
+}
+
+// Whole number query parameter within bounds
+function intParam(params, name, fallback, { min, max }) {
+  const value = params.get(name);
+  if (value === null) {
+    return fallback;
+  }
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new HttpError(400, 'INVALID_PARAMETER', `${name} must be a whole number from ${min} to ${max}`);
+  }
+  return number;
+}
+
+// IDs of the linked records a filter parameter names, by record ID or by name (ignoring case)
+function matchingIds(records, values) {
+  const wanted = values.map(value => value.trim().toLowerCase());
+  return new Set(records
+    .filter(record => wanted.includes(record.id.toLowerCase()) || wanted.includes(String(record.name || '').trim().toLowerCase()))
+    .map(record => record.id));
+}
+
+// Mattresses matching the from, to, photographer and location query parameters
+function filterMattresses(index, mattresses, params) {
+  let from = null;
+  let to = null;
+  try {
+    from = params.get('from') && parseDateBound(params.get('from'));
+    to = params.get('to') && parseDateBound(params.get('to'), { end: true });
+  } catch (error) {
+    throw new HttpError(400, 'INVALID_PARAMETER', error.message);
+  }
+  
+  const linkFilter = (name, tableName, key) => {
+    const values = params.getAll(name);
+    if (values.length === 0) {
+      return () => true;
+    }
+    const ids = matchingIds(index.data[tableName], values);
+    return (mattress) => linkIds(mattress[key]).some(id => ids.has(id));
+  };
+  const byPhotographer = linkFilter('photographer', TABLES.PHOTOGRAPHER, 'photographers');
+  const byLocation = linkFilter('location', TABLES.LOCATION, 'location');
+  
+  return mattresses.filter(mattress => (!from || (mattress.date && mattress.date >= from)) &&
+    (!to || (mattress.date && mattress.date.slice(0, 10) <= to)) &&
+    byPhotographer(mattress) &&
+    byLocation(mattress));
+}
+
+// One page of a list: { total, offset, limit, records }
+function paginate(records, params) {
+  const limit = intParam(params, 'limit', DEFAULT_LIMIT, { min: 1, max: MAX_LIMIT });
+  const offset = intParam(params, 'offset', 0, { min: 0, max: Number.MAX_SAFE_INTEGER });
+  return { total: records.length, offset, limit, records: records.slice(offset, offset + limit) };
+}
+
+// Read-only HTTP API over a downloaded archive. The table files are loaded when the server is
+// created and again whenever they change, e.g. when a sync writes them; a table file that's only
+// half written keeps the previous data until the next change.
+//
+// Routes (all GET):
+//   /mattresses?from=&to=&photographer=&location=&limit=&offset=
+//   /mattresses/:id
+//   /photographers, /photographers/:id, /photographers/:id/mattresses
+//   /locations, /locations/:id, /locations/:id/mattresses
+//   /images/..., /derivatives/...  files of the archive, at the path of their image entry
+//
+// onRequest is called with { method, path, status } for every request and onReload with
+// { records } or { error } after the table files changed.
+function createApiServer(outputDir, { onRequest = () => {}, onReload = () => {} } = {}) {
+  const initial = readTables(outputDir);
+  if (!initial) {
+    throw new ConfigError(`No archive found in ${outputDir}. Run the download command first.`);
+  }
+  let index = indexTables(initial);
+  let watcher = null;
+  let reloadTimer = null;
+  
+  const reload = () => {
+    try {
+      const data = readTables(outputDir);
+      if (!data) {
+        return;
+      }
+      index = indexTables(data);
+      onReload({ records: Object.fromEntries(Object.entries(data).map(([tableName, records]) => [tableName, records.length])) });
+    } catch (error) {
+      onReload({ error });
+    }
+  };
+  
+  const sendJson = (res, status, data) => {
+    res.writeHead(status, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' });
+    res.end(JSON.stringify(data));
+  };
+  
+  const record = (tableName, id) => {
+    const found = index.byId[tableName].get(id);
+    if (!found) {
+      throw new HttpError(404, 'NOT_FOUND', `No ${tableName} record ${id}`);
+    }
+    return found;
+  };
+  
+  // Files below the static directories; other paths and paths leaving them are not found
+  const sendFile = async (req, res, urlPath) => {
+    const relativePath = path.normalize(decodeURIComponent(urlPath).slice(1));
+    const inStaticDir = STATIC_DIRS.some(dir => relativePath.startsWith(`${dir}${path.sep}`));
+    const filePath = path.join(outputDir, relativePath);
+    const stats = inStaticDir && await fs.stat(filePath).catch(() => null);
+    if (!stats || !stats.isFile()) {
+      throw new HttpError(404, 'NOT_FOUND', `No file ${urlPath}`);
+    }
+    
+    res.writeHead(200, {
+      'Content-Type': CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+      'Content-Length': stats.size,
+      'Access-Control-Allow-Origin': '*'
+    });
+    if (req.method === 'HEAD') {
+      return res.end();
+    }
+    fs.createReadStream(filePath).pipe(res);
+  };
+  
+  // Answer for an API route, or null if there is no such route
+  const route = (segments, params) => {
+    const [resource, id, sub] = segments;
+    const tableName = { mattresses: TABLES.MATTRESSES, photographers: TABLES.PHOTOGRAPHER, locations: TABLES.LOCATION }[resource];
+    
+    if (segments.length === 0) {
+      return {
+        loadedAt: index.loadedAt,
+        records: Object.fromEntries(Object.entries(index.data).map(([name, records]) => [name, records.length])),
+        routes: ['/mattresses', '/mattresses/:id', '/photographers/:id/mattresses', '/locations/:id/mattresses', `/${IMAGES_DIR}/...`]
+      };
+    }
+    if (!tableName || segments.length > 3) {
+      return null;
+    }
+    
+    if (!id) {
+      const records = tableName === TABLES.MATTRESSES ? filterMattresses(index, index.data[tableName], params) : index.data[tableName];
+      return paginate(records, params);
+    }
+    if (!sub) {
+      return record(tableName, id);
+    }
+    if (sub === 'mattresses' && tableName !== TABLES.MATTRESSES) {
+      record(tableName, id);
+      const groups = tableName === TABLES.PHOTOGRAPHER ? index.byPhotographer : index.byLocation;
+      return paginate(filterMattresses(index, groups.get(id) || [], params), params);
+    }
+    return null;
+  };
+  
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    let status = 200;
+    
+    try {
+      if (req.method !== 'GET' && req.method !== 'HEAD') {
+        throw new HttpError(405, 'METHOD_NOT_ALLOWED', 'The archive API is read-only');
+      }
+      
+      const segments = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+      if (STATIC_DIRS.includes(segments[0])) {
+        await sendFile(req, res, url.pathname);
+      } else {
+        const body = route(segments, url.searchParams);
+        if (!body) {
+          throw new HttpError(404, 'NOT_FOUND', `Unknown path ${url.pathname}`);
+        }
+        sendJson(res, 200, body);
+      }
+    } catch (error) {
+      // Malformed percent-encoding in the path is the client's fault
+      const failure = error instanceof URIError ? new HttpError(400, 'INVALID_PATH', error.message) : error;
+      status = failure instanceof HttpError ? failure.status : 500;
+      if (!res.headersSent) {
+        sendJson(res, status, { error: { type: failure.type || 'SERVER_ERROR', message: failure.message } });
+      }
+    }
+    
+    onRequest({ method: req.method, path: `${url.pathname}${url.search}`, status });
+  });
+  
+  return {
+    // Start listening (port 0 picks a free one) and watching the table files; resolves with the server's URL
+    listen(port = 0, host = '127.0.0.1') {
+      return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+          watcher = fs.watch(path.join(outputDir, TABLES_DIR), () => {
+            clearTimeout(reloadTimer);
+            reloadTimer = setTimeout(reload, RELOAD_DELAY);
+          });
+          resolve(`http://${host}:${server.address().port}`);
+        });
+      });
+    },
+    
+    // Load the table files again now instead of waiting for a change
+    reload,
+    
+    close() {
+      clearTimeout(reloadTimer);
+      if (watcher) {
+        watcher.close();
+      }
+      return new Promise((resolve) => {
+        server.close(() => resolve());
+        server.closeAllConnections();
+      });
+    }
+  };
+}
+
+module.exports = {
+  createApiServer
+};
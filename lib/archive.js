@@ -0,0 +1,96 @@
+const fs = require('fs-extra');
+const path = require('path');
+const readline = require('readline');
+const { TABLES } = require('./config');
+
+// Directories and files of an archive, relative to its output directory
+const IMAGES_DIR = 'images';
+const TABLES_DIR = 'tables';
+const DERIVATIVES_DIR = 'derivatives';
+const SYNC_STATE_FILE = 'sync-state.json';
+
+// Path of a table file in the archive
+function tablePath(outputDir, tableName) {
+  return path.join(outputDir, TABLES_DIR, `${tableName}.json`);
+}
+
+// Read every table file of a downloaded archive, or null if the archive hasn't been downloaded
+function readTables(outputDir) {
+  const data = {};
+  
+  for (const tableName of Object.values(TABLES)) {
+    if (!fs.existsSync(tablePath(outputDir, tableName))) {
+      return null;
+    }
+    data[tableName] = fs.readJsonSync(tablePath(outputDir, tableName));
+  }
+  
+  return data;
+}
+
+// Read the records of a table file one at a time, so a large table is never parsed as a whole.
+// Table files are written with two-space indentation, which puts every record between a "  {"
+// and a "  }" line; a file written another way is parsed as a whole.
+async function* readTableRecords(outputDir, tableName) {
+  const filePath = tablePath(outputDir, tableName);
+  const lines = readline.createInterface({ input: fs.createReadStream(filePath), crlfDelay: Infinity });
+  let record = null;
+  let first = true;
+  
+  try {
+    for await (const line of lines) {
+      if (first && line !== '[') {
+        yield* await fs.readJson(filePath);
+        return;
+      }
+      first = false;
+      
+      if (line === '  {') {
+        record = [line];
+      } else if (record && (line === '  }' || line === '  },')) {
+        record.push('  }');
+        yield JSON.parse(record.join('\n'));
+        record = null;
+      } else if (record) {
+        record.push(line);
+      }
+    }
+  } finally {
+    lines.close();
+  }
+}
+
+// The tables of a downloaded archive as async iterables over their records (see
+// readTableRecords), or null if the archive hasn't been downloaded. Each iteration reads the
+// table file again.
+function streamTables(outputDir) {
+  const tableNames = Object.values(TABLES);
+  if (!tableNames.every(tableName => fs.existsSync(tablePath(outputDir, tableName)))) {
+    return null;
+  }
+  
+  return Object.fromEntries(tableNames.map(tableName => [
+    tableName,
+    { [Symbol.asyncIterator]: () => readTableRecords(outputDir, tableName) }
+  ]));
+}
+
+// Record counts per table and number of images of an archive's table data, as in the summary of a run
+function archiveCounts(data) {
+  return {
+    records: Object.fromEntries(Object.entries(data).map(([tableName, records]) => [tableName, records.length])),
+    images: data[TABLES.MATTRESSES].reduce((total, mattress) => total + (mattress.images ? mattress.images.length : 0), 0)
+  };
+}
+
+module.exports = {
+  IMAGES_DIR,
+  TABLES_DIR,
+  DERIVATIVES_DIR,
+  SYNC_STATE_FILE,
+  tablePath,
+  readTables,
+  readTableRecords,
+  streamTables,
+  archiveCounts
+};
@@ -0,0 +1,147 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { Transform } = require('stream');
+
+// File extensions for the attachment MIME types Airtable reports
+const MIME_EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/jpg': '.jpg',
+  'image/png': '.png',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'image/heic': '.heic',
+  'image/heif': '.heif',
+  'image/avif': '.avif',
+  'image/tiff': '.tif',
+  'image/bmp': '.bmp',
+  'image/svg+xml': '.svg',
+  'application/pdf': '.pdf'
+};
+
+// Types sharp can fully decode
+const DECODABLE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'image/tiff', 'image/avif'];
+
+// Airtable reports some types under more than one name
+function normaliseType(type) {
+  const lower = (type || '').toLowerCase();
+  if (lower === 'image/jpg') return 'image/jpeg';
+  if (lower === 'image/heif') return 'image/heic';
+  return lower;
+}
+
+// Pick the file extension from the MIME type, falling back to the uploaded filename
+function extensionFor(attachment) {
+  const type = (attachment.type || '').toLowerCase();
+  if (MIME_EXTENSIONS[type]) {
+    return MIME_EXTENSIONS[type];
+  }
+  
+  const original = path.extname(attachment.filename || attachment.originalFilename || '').toLowerCase();
+  return original || '.bin';
+}
+
+// Stable local filename for an attachment: its Airtable ID plus the extension of its type
+function attachmentFilename(attachment) {
+  return `${attachment.id}${extensionFor(attachment)}`;
+}
+
+// SHA-256 checksum of a file on disk
+function sha256File(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', (chunk) => hash.update(chunk))
+      .on('error', reject)
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+// Stream that passes data through and counts and hashes it on the way; digest() returns the
+// SHA-256 checksum once it ended. With an expected size, data that ends early fails the stream.
+function createHashStream({ expectedSize = null } = {}) {
+  const hash = crypto.createHash('sha256');
+  const stream = new Transform({
+    transform(chunk, encoding, callback) {
+      hash.update(chunk);
+      stream.size += chunk.length;
+      callback(null, chunk);
+    },
+    flush(callback) {
+      if (expectedSize !== null && stream.size !== expectedSize) {
+        const error = new Error(`download stopped after ${stream.size} of ${expectedSize} bytes`);
+        error.code = 'ETRUNCATED';
+        return callback(error);
+      }
+      callback(null);
+    }
+  });
+  stream.size = 0;
+  stream.digest = () => hash.digest('hex');
+  return stream;
+}
+
+// Magic bytes at the start of the file types the archive holds; ISO media files (HEIC, AVIF)
+// are recognised by the brand in their ftyp box instead
+const SIGNATURES = [
+  { type: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { type: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { type: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38] },
+  { type: 'image/tiff', bytes: [0x49, 0x49, 0x2a, 0x00] },
+  { type: 'image/tiff', bytes: [0x4d, 0x4d, 0x00, 0x2a] },
+  { type: 'image/bmp', bytes: [0x42, 0x4d] },
+  { type: 'application/pdf', bytes: [0x25, 0x50, 0x44, 0x46] }
+];
+
+const FTYP_BRANDS = {
+  heic: 'image/heic', heix: 'image/heic', hevc: 'image/heic', heim: 'image/heic', heis: 'image/heic',
+  mif1: 'image/heif', msf1: 'image/heif',
+  avif: 'image/avif', avis: 'image/avif'
+};
+
+// MIME type of a file from its first bytes, or null if it isn't recognised
+function detectType(header) {
+  const signature = SIGNATURES.find(({ bytes }) => bytes.every((byte, index) => header[index] === byte));
+  if (signature) {
+    return signature.type;
+  }
+  if (header.toString('latin1', 0, 4) === 'RIFF' && header.toString('latin1', 8, 12) === 'WEBP') {
+    return 'image/webp';
+  }
+  if (header.toString('latin1', 4, 8) === 'ftyp') {
+    return FTYP_BRANDS[header.toString('latin1', 8, 12)] || null;
+  }
+  if (/^\s*(<\?xml|<svg)/.test(header.toString('utf8'))) {
+    return 'image/svg+xml';
+  }
+  return null;
+}
+
+// First bytes of a file, enough for detectType
+async function readHeader(filePath, length = 32) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(length), 0, length, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+// Downloaded attachment fields of an exported record hold entries with a local path
+function isAttachmentList(value) {
+  return Array.isArray(value) && value.length > 0 && value.every(item => item && item.path && item.filename);
+}
+
+module.exports = {
+  MIME_EXTENSIONS,
+  DECODABLE_TYPES,
+  normaliseType,
+  extensionFor,
+  attachmentFilename,
+  sha256File,
+  createHashStream,
+  detectType,
+  readHeader,
+  isAttachmentList
+};
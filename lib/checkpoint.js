@@ -0,0 +1,132 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// Read an NDJSON journal, skipping a trailing line cut off by a crash
+function readJournal(file) {
+  if (!fs.existsSync(file)) {
+    return [];
+  }
+  
+  const entries = [];
+  for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch (error) {
+      // Incomplete last write
+    }
+  }
+  return entries;
+}
+
+// Keep the last entry per record ID
+function uniqueById(entries) {
+  return [...new Map(entries.map(entry => [entry.id, entry])).values()];
+}
+
+// Checkpoint of an unfinished run, stored in <outputDir>/checkpoint/:
+// - state.json: run start time, pagination offset per fetch, processed record IDs and failed image downloads
+// - <key>.records.ndjson: records of every page fetched so far
+// - processed.ndjson: finished mattress records
+function createCheckpoint(outputDir) {
+  const dir = path.join(outputDir, 'checkpoint');
+  const statePath = path.join(dir, 'state.json');
+  const processedPath = path.join(dir, 'processed.ndjson');
+  const recordsPath = (key) => path.join(dir, `${key.replace(/[^\w-]+/g, '_')}.records.ndjson`);
+  
+  let state = null;
+  let processed = new Map();
+  
+  const save = () => {
+    // Write to a temporary file and rename so a crash never leaves a half-written state
+    fs.writeJsonSync(`${statePath}.tmp`, state, { spaces: 2 });
+    fs.moveSync(`${statePath}.tmp`, statePath, { overwrite: true });
+  };
+  
+  return {
+    exists() {
+      return fs.existsSync(statePath);
+    },
+    
+    // Load an existing checkpoint or start a new one; returns the run's start time
+    open() {
+      if (fs.existsSync(statePath)) {
+        state = fs.readJsonSync(statePath);
+        const processedIds = new Set(state.processedIds);
+        processed = new Map(
+          uniqueById(readJournal(processedPath))
+            .filter(mattress => processedIds.has(mattress.id))
+            .map(mattress => [mattress.id, mattress])
+        );
+      } else {
+        fs.ensureDirSync(dir);
+        state = {
+          startedAt: new Date().toISOString(),
+          pagination: {},
+          processedIds: [],
+          failedImages: []
+        };
+        save();
+      }
+      return state.startedAt;
+    },
+    
+    // Saved pagination for a fetch: the next offset, whether it finished and the records so far
+    pagination(key) {
+      const saved = state.pagination[key];
+      if (!saved) {
+        return null;
+      }
+      return { ...saved, records: uniqueById(readJournal(recordsPath(key))) };
+    },
+    
+    // Store a fetched page and the offset of the next one (null when the fetch is complete)
+    savePage(key, records, nextOffset) {
+      if (records.length > 0) {
+        fs.appendFileSync(recordsPath(key), records.map(record => JSON.stringify(record)).join('\n') + '\n');
+      }
+      state.pagination[key] = { offset: nextOffset, complete: !nextOffset };
+      save();
+    },
+    
+    // Forget a fetch, e.g. when Airtable no longer accepts its offset
+    resetPagination(key) {
+      fs.removeSync(recordsPath(key));
+      delete state.pagination[key];
+      save();
+    },
+    
+    processedRecord(id) {
+      return processed.get(id) || null;
+    },
+    
+    // Record a finished mattress; records with failed images stay unprocessed so a restart retries them
+    markProcessed(mattress, failures) {
+      state.failedImages = state.failedImages.filter(failure => failure.recordId !== mattress.id);
+      
+      if (failures.length > 0) {
+        state.failedImages.push(...failures);
+      } else {
+        fs.appendFileSync(processedPath, JSON.stringify(mattress) + '\n');
+        processed.set(mattress.id, mattress);
+        state.processedIds.push(mattress.id);
+      }
+      save();
+    },
+    
+    failedImages() {
+      return state ? state.failedImages : [];
+    },
+    
+    // Throw the checkpoint away, after a finished run or on --restart
+    clear() {
+      fs.removeSync(dir);
+      state = null;
+      processed = new Map();
+    }
+  };
+}
+
+module.exports = {
+  createCheckpoint
+};
@@ -0,0 +1,247 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { AIRTABLE_API_URL } = require('./airtable');
+const { ConfigError } = require('./errors');
+
+// Configuration file read from the working directory when no --config flag is given
+const CONFIG_FILE = 'archive.config.json';
+
+// Output tables; the names are used for the JSON files in data/tables and the keys of mattresses-data.json
+const TABLES = {
+  MATTRESSES: 'allMatresses',
+  PHOTOGRAPHER: 'photographer',
+  LOCATION: 'location'
+};
+
+// Default configuration, read from the environment (.env) and overridden by command line flags
+function defaultConfig() {
+  return {
+    // Airtable base and personal access token
+    BASE_ID: process.env.BASE_ID,
+    API_KEY: process.env.BASE_API_KEY,
+    // Airtable API the records are read from; point it at the mock server (mock-server command) for offline runs
+    API_URL: process.env.AIRTABLE_API_URL || AIRTABLE_API_URL,
+    // MAC secret (macSecretBase64) of the Airtable webhook, used to check the notifications of the watch command
+    WEBHOOK_SECRET: process.env.AIRTABLE_WEBHOOK_SECRET,
+    // Directory the archive is written to
+    OUTPUT_DIR: 'data',
+    // Object storage the images, table files and exports are written to instead, e.g.
+    // s3://bucket/prefix, see lib/storage. The checkpoint and lock stay in OUTPUT_DIR.
+    STORAGE: process.env.STORAGE_URL || null,
+    // Endpoint of an S3-compatible service like MinIO (http://localhost:9000); AWS S3 when not set
+    S3_ENDPOINT: process.env.S3_ENDPOINT || null,
+    S3_REGION: process.env.S3_REGION || process.env.AWS_REGION || 'us-east-1',
+    // Airtable view records are read from
+    VIEW: 'Grid view',
+    // Airtable table name for each output table
+    TABLE_NAMES: {
+      [TABLES.MATTRESSES]: 'allMatresses',
+      [TABLES.PHOTOGRAPHER]: 'photographer',
+      [TABLES.LOCATION]: 'location'
+    },
+    // Airtable fields exported under a fixed key, which the rest of the archive relies on.
+    // Every other field is exported under its Airtable name.
+    FIELD_NAMES: {
+      [TABLES.MATTRESSES]: { date: 'date', photographers: 'photographer', location: 'location', images: 'images' },
+      [TABLES.PHOTOGRAPHER]: { name: 'photographerName' },
+      [TABLES.LOCATION]: { name: 'locationName' }
+    },
+    // Per-table field selection and link expansion from the config file: { include, exclude, expandDepth }
+    TABLE_OPTIONS: {},
+    // How many levels of linked records are embedded; 0 keeps record IDs only. null expands links
+    // to tables that aren't archived one level and keeps links between archived tables as IDs.
+    EXPAND_DEPTH: null,
+    // Which mattresses are downloaded: { view, formula, from, to, photographers, locations }, see lib/filter.js
+    FILTER: {},
+    // Number of records to fetch from each table
+    SAMPLE_SIZE: {
+      [TABLES.MATTRESSES]: null, // null means fetch all
+      // We'll fetch all photographers and locations
+      [TABLES.PHOTOGRAPHER]: null, // null means fetch all
+      [TABLES.LOCATION]: null // null means fetch all
+    },
+    // Airtable API requests per second (Airtable allows 5 per base)
+    API_RATE_LIMIT: 5,
+    // Wait in milliseconds before the first retry of a request that failed with a server error or
+    // a network failure; it doubles with every retry
+    RETRY_DELAY: 1000,
+    // Number of images downloaded in parallel
+    IMAGE_CONCURRENCY: 6,
+    // Image download requests per second, null means no limit (attachment downloads don't count against the API limit)
+    IMAGE_RATE_LIMIT: null,
+    // Expected download speed in bytes per second, only used for the time estimate of a plan (--dry-run)
+    BANDWIDTH: 10 * 1024 * 1024,
+    // Output formats written after a download, see lib/exporters (the table files in data/tables are always written)
+    FORMATS: ['json'],
+    // Discard the checkpoint of an interrupted run instead of resuming it
+    RESTART: false,
+    // Hash every stored image again on a sync instead of trusting those with a recorded checksum and the expected size
+    VERIFY_IMAGES: false,
+    // Only sync these tables and keep the others as they are, e.g. after a webhook; null syncs all tables
+    ONLY_TABLES: null,
+    // Read EXIF, GPS and IPTC metadata from new images after downloading them, see lib/metadata.js
+    METADATA: true,
+    // Make thumbnails and web-ready renditions of new images, see lib/derivatives.js
+    DERIVATIVES: true,
+    // Renditions made of every image: { name, width, format (jpeg, webp, avif or png), quality }
+    RENDITIONS: [
+      { name: 'thumb', width: 320, format: 'jpeg' },
+      { name: 'web', width: 1280, format: 'webp' },
+      { name: 'web-avif', width: 1280, format: 'avif' }
+    ],
+    // Keep a dated snapshot of the tables after every run, see lib/snapshots.js
+    SNAPSHOT: true,
+    // Directory Airtable responses and attachments are recorded to for replaying them later, see lib/fixtures.js
+    RECORD_DIR: null
+  };
+}
+
+// Parse table name overrides like "allMatresses=Mattresses,photographer=Photographers"
+function parseTableNames(value) {
+  const tableNames = {};
+  
+  for (const pair of value.split(',')) {
+    const [table, name] = pair.split('=').map(part => part && part.trim());
+    if (!Object.values(TABLES).includes(table) || !name) {
+      throw new ConfigError(`Invalid table mapping "${pair}". Expected <table>=<Airtable table name> with table one of: ${Object.values(TABLES).join(', ')}`);
+    }
+    tableNames[table] = name;
+  }
+  
+  return tableNames;
+}
+
+// Turn the tables section of a config file (or of a profile in it, at is its location for the
+// messages) into TABLE_NAMES and TABLE_OPTIONS overrides
+function parseTableOptions(tables, filePath, at) {
+  const overrides = { TABLE_NAMES: {}, TABLE_OPTIONS: {} };
+  
+  for (const [table, options] of Object.entries(tables || {})) {
+    if (!Object.values(TABLES).includes(table)) {
+      throw new ConfigError(`Unknown table "${table}" in ${filePath}. Expected one of: ${Object.values(TABLES).join(', ')}`);
+    }
+    for (const list of ['include', 'exclude']) {
+      if (options[list] !== undefined && !Array.isArray(options[list])) {
+        throw new ConfigError(`${at}.${table}.${list} in ${filePath} must be a list of field names`);
+      }
+    }
+    
+    if (options.name) overrides.TABLE_NAMES[table] = options.name;
+    overrides.TABLE_OPTIONS[table] = {
+      include: options.include,
+      exclude: options.exclude,
+      expandDepth: options.expandDepth !== undefined ? checkDepth(options.expandDepth, `${at}.${table}.expandDepth`) : undefined
+    };
+  }
+  
+  return overrides;
+}
+
+// Check a profile of a config file: a base with the same structure as the others, archived to its
+// own output directory. The token is read from the environment variable named by tokenEnv.
+function parseProfile(name, profile, filePath) {
+  const at = `profiles.${name}`;
+  if (!/^[\w-]+$/.test(name)) {
+    throw new ConfigError(`Invalid profile name "${name}" in ${filePath}. Use letters, digits, - and _`);
+  }
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+    throw new ConfigError(`${at} in ${filePath} must be an object`);
+  }
+  if (typeof profile.baseId !== 'string' || !profile.baseId) {
+    throw new ConfigError(`${at}.baseId in ${filePath} must be the ID of an Airtable base (app...)`);
+  }
+  for (const key of ['tokenEnv', 'outputDir']) {
+    if (profile[key] !== undefined && (typeof profile[key] !== 'string' || !profile[key])) {
+      throw new ConfigError(`${at}.${key} in ${filePath} must be a non-empty string`);
+    }
+  }
+  
+  return {
+    name,
+    baseId: profile.baseId,
+    tokenEnv: profile.tokenEnv || 'BASE_API_KEY',
+    outputDir: profile.outputDir || `data-${name}`,
+    ...parseTableOptions(profile.tables, filePath, `${at}.tables`)
+  };
+}
+
+// Read a config file and turn it into configuration overrides. The file looks like
+// { "expandDepth": 1, "tables": { "allMatresses": { "name": "...", "include": [...], "exclude": [...], "expandDepth": 2 } },
+//   "filter": { "from": "2022", "to": "2023", "photographers": ["..."] },
+//   "renditions": [{ "name": "thumb", "width": 320, "format": "jpeg" }],
+//   "profiles": { "berlin": { "baseId": "app...", "tokenEnv": "BERLIN_API_KEY", "outputDir": "archives/berlin",
+//     "tables": { "allMatresses": { "name": "..." } } } } }
+// The profiles are returned as PROFILES by name; applyProfile() selects one.
+function loadConfigFile(filePath) {
+  let file;
+  try {
+    file = fs.readJsonSync(filePath);
+  } catch (error) {
+    throw new ConfigError(`Can't read ${filePath}: ${error.message}`, { cause: error });
+  }
+  const overrides = parseTableOptions(file.tables, filePath, 'tables');
+  
+  if (file.expandDepth !== undefined) {
+    overrides.EXPAND_DEPTH = checkDepth(file.expandDepth, 'expandDepth');
+  }
+  if (file.filter !== undefined) {
+    if (!file.filter || typeof file.filter !== 'object' || Array.isArray(file.filter)) {
+      throw new ConfigError(`filter in ${filePath} must be an object`);
+    }
+    overrides.FILTER = file.filter;
+  }
+  if (file.renditions !== undefined) {
+    if (!Array.isArray(file.renditions)) {
+      throw new ConfigError(`renditions in ${filePath} must be a list of { name, width, format, quality }`);
+    }
+    overrides.RENDITIONS = file.renditions;
+  }
+  
+  if (file.profiles !== undefined) {
+    if (!file.profiles || typeof file.profiles !== 'object' || Array.isArray(file.profiles)) {
+      throw new ConfigError(`profiles in ${filePath} must be an object of profiles by name`);
+    }
+    overrides.PROFILES = {};
+    for (const [name, profile] of Object.entries(file.profiles)) {
+      overrides.PROFILES[name] = parseProfile(name, profile, filePath);
+    }
+    
+    // Two profiles writing the same archive would mix up their bases
+    const outputDirs = Object.values(overrides.PROFILES).map(profile => path.resolve(profile.outputDir));
+    const shared = outputDirs.find((dir, index) => outputDirs.indexOf(dir) !== index);
+    if (shared) {
+      throw new ConfigError(`Several profiles in ${filePath} use the output directory ${shared}`);
+    }
+  }
+  
+  return overrides;
+}
+
+// Configuration of a profile: its base, the token from its environment variable, its output
+// directory and its table names and options on top of the given configuration
+function applyProfile(config, profile, env = process.env) {
+  return {
+    ...config,
+    BASE_ID: profile.baseId,
+    API_KEY: env[profile.tokenEnv],
+    OUTPUT_DIR: profile.outputDir,
+    TABLE_NAMES: { ...config.TABLE_NAMES, ...profile.TABLE_NAMES },
+    TABLE_OPTIONS: { ...config.TABLE_OPTIONS, ...profile.TABLE_OPTIONS }
+  };
+}
+
+function checkDepth(value, name) {
+  if (!Number.isInteger(value) || value < 0) {
+    throw new ConfigError(`${name} must be a whole number of 0 or more`);
+  }
+  return value;
+}
+
+module.exports = {
+  CONFIG_FILE,
+  TABLES,
+  defaultConfig,
+  parseTableNames,
+  loadConfigFile,
+  applyProfile
+};
@@ -0,0 +1,255 @@
+const http = require('http');
+const { EventEmitter } = require('events');
+const fs = require('fs-extra');
+const path = require('path');
+const { createDownloader } = require('./downloader');
+const { createAirtableClient } = require('./airtable');
+const { parseSchedule } = require('./schedule');
+const { MAC_HEADER, verifySignature, parseNotification, readChangedTables, archiveTablesFor } = require('./webhooks');
+const { ConfigError, LockError } = require('./errors');
+
+// Outcome of every run of the daemon, one JSON object per line in the output directory
+const HISTORY_FILE = 'sync-history.ndjson';
+
+// Path of the webhook endpoint Airtable posts notifications to
+const WEBHOOK_PATH = '/webhooks/airtable';
+
+// Largest notification body accepted; Airtable's are a few hundred bytes
+const MAX_BODY_BYTES = 64 * 1024;
+
+// setTimeout can't wait longer than about 24 days; longer waits are split up
+const MAX_TIMEOUT = 2 ** 31 - 1;
+
+// Last runs of the history, newest last
+function readHistory(outputDir, limit = Infinity) {
+  const filePath = path.join(outputDir, HISTORY_FILE);
+  if (!fs.existsSync(filePath)) {
+    return [];
+  }
+  
+  const lines = fs.readFileSync(filePath, 'utf8').split('\n').filter(Boolean);
+  return lines.slice(-limit).map(line => JSON.parse(line));
+}
+
+// Counts of a run summary for the history
+function historyCounts(summary) {
+  return {
+    records: summary.records,
+    changes: Object.fromEntries(Object.entries(summary.changelog).map(([tableName, changes]) => [tableName, {
+      added: changes.added.length,
+      updated: changes.updated.length,
+      removed: changes.removed.length
+    }])),
+    failedImages: summary.failedImages.length,
+    snapshot: summary.snapshot
+  };
+}
+
+// Long-running sync: runs the download on a cron schedule (lib/schedule.js) and, with a webhook
+// port, whenever Airtable notifies a change. Webhook runs only sync the changed tables. Runs never
+// overlap: a trigger during a run queues one more run afterwards, and the archive lock
+// (lib/lock.js) keeps out runs of other processes. Every run is appended to HISTORY_FILE.
+//
+// The daemon is an EventEmitter with these events:
+//   scheduled     { next }                   time of the next scheduled run
+//   run:start     { trigger, tables, downloader }
+//   run:done      entry                      the history entry of the run
+//   webhook       { webhookId, tables }      a notification was accepted
+//   webhook:rejected { status, reason }
+//   warning       { message }
+function createDaemon(config, { schedule, webhook = null, runAtStart = false } = {}) {
+  const parsedSchedule = parseSchedule(schedule);
+  if (!parsedSchedule.next()) {
+    throw new ConfigError(`The schedule "${schedule}" never runs`);
+  }
+  
+  const events = new EventEmitter();
+  const emit = (event, payload) => events.emit(event, payload);
+  const airtable = createAirtableClient({ baseId: config.BASE_ID, apiKey: config.API_KEY, apiUrl: config.API_URL, rateLimit: config.API_RATE_LIMIT });
+  
+  let timer = null;
+  let nextRun = null;
+  let server = null;
+  let stopped = false;
+  let current = null;
+  // Run queued while another one was running: { triggers, tables } with tables null for all
+  let pending = null;
+  // Notifications are handled one after the other, so they read the payloads from the stored cursor in turn
+  let notifications = Promise.resolve();
+  
+  const appendHistory = (entry) => {
+    fs.ensureDirSync(config.OUTPUT_DIR);
+    fs.appendFileSync(path.join(config.OUTPUT_DIR, HISTORY_FILE), `${JSON.stringify(entry)}\n`);
+  };
+  
+  const runOnce = async (trigger, tables) => {
+    const startedAt = new Date();
+    const downloader = createDownloader({ ...config, ONLY_TABLES: tables });
+    emit('run:start', { trigger, tables, downloader });
+    
+    const entry = { startedAt: startedAt.toISOString(), finishedAt: null, trigger, tables: tables || 'all', status: 'success' };
+    try {
+      Object.assign(entry, historyCounts(await downloader.run()));
+    } catch (error) {
+      // A run started by hand holds the lock; the next trigger tries again
+      entry.status = error instanceof LockError ? 'locked' : 'failed';
+      entry.error = error.message;
+    }
+    entry.finishedAt = new Date().toISOString();
+    entry.durationMs = Date.now() - startedAt.getTime();
+    
+    appendHistory(entry);
+    emit('run:done', entry);
+  };
+  
+  // Start a run, or queue one if a run is in progress. Tables null syncs every table.
+  const requestRun = (trigger, tables = null) => {
+    if (stopped) {
+      return;
+    }
+    if (current) {
+      pending = pending
+        ? { triggers: [...new Set([...pending.triggers, trigger])], tables: pending.tables && tables ? [...new Set([...pending.tables, ...tables])] : null }
+        : { triggers: [trigger], tables };
+      return;
+    }
+    
+    current = runOnce(trigger, tables).finally(() => {
+      current = null;
+      if (pending) {
+        const next = pending;
+        pending = null;
+        requestRun(next.triggers.join('+'), next.tables);
+      }
+    });
+  };
+  
+  const scheduleNext = () => {
+    nextRun = parsedSchedule.next();
+    emit('scheduled', { next: nextRun });
+    
+    const wait = () => {
+      const delay = nextRun.getTime() - Date.now();
+      if (delay > 0) {
+        timer = setTimeout(wait, Math.min(delay, MAX_TIMEOUT));
+        return;
+      }
+      requestRun('schedule');
+      scheduleNext();
+    };
+    wait();
+  };
+  
+  // Find the changed tables of a notification and sync them; when they can't be read, e.g. because
+  // the token lacks the webhook:manage scope, every table is synced
+  const handleNotification = async (notification) => {
+    let tables = null;
+    try {
+      const tableIds = await readChangedTables(airtable, config.OUTPUT_DIR, notification.webhookId);
+      if (tableIds.length === 0) {
+        emit('webhook', { webhookId: notification.webhookId, tables: [] });
+        return;
+      }
+      tables = archiveTablesFor(tableIds, await airtable.listTables(), config.TABLE_NAMES);
+    } catch (error) {
+      emit('warning', { message: `Couldn't read the changes of webhook ${notification.webhookId} (${error.message}). Syncing all tables.` });
+    }
+    
+    emit('webhook', { webhookId: notification.webhookId, tables });
+    requestRun('webhook', tables);
+  };
+  
+  const handleRequest = (req, res) => {
+    const reply = (status, data) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(data));
+    };
+    const reject = (status, reason) => {
+      emit('webhook:rejected', { status, reason });
+      reply(status, { error: reason });
+    };
+    
+    if (req.method === 'GET' && req.url === '/status') {
+      return reply(200, { running: Boolean(current), queued: Boolean(pending), nextRun, lastRun: readHistory(config.OUTPUT_DIR, 1)[0] || null });
+    }
+    if (req.method !== 'POST' || req.url !== WEBHOOK_PATH) {
+      return reply(404, { error: `Expected POST ${WEBHOOK_PATH} or GET /status` });
+    }
+    
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size <= MAX_BODY_BYTES) {
+        chunks.push(chunk);
+      }
+    });
+    req.on('end', () => {
+      if (size > MAX_BODY_BYTES) {
+        return reject(413, 'Notification too large');
+      }
+      const body = Buffer.concat(chunks);
+      if (webhook.secret && !verifySignature(body, req.headers[MAC_HEADER], webhook.secret)) {
+        return reject(401, 'Invalid or missing signature');
+      }
+      const notification = parseNotification(body.toString('utf8'));
+      if (!notification) {
+        return reject(400, 'Not an Airtable webhook notification');
+      }
+      if (notification.baseId !== config.BASE_ID) {
+        return reject(400, `Notification for base ${notification.baseId}, expected ${config.BASE_ID}`);
+      }
+      
+      // Airtable only needs to know the notification arrived; the sync runs afterwards
+      res.writeHead(204);
+      res.end();
+      notifications = notifications.then(() => handleNotification(notification));
+    });
+  };
+  
+  // Start the schedule and the webhook endpoint; resolves with the endpoint's URL (null without one)
+  events.start = async () => {
+    let webhookUrl = null;
+    if (webhook) {
+      server = http.createServer(handleRequest);
+      await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(webhook.port, webhook.host || '127.0.0.1', resolve);
+      });
+      webhookUrl = `http://${webhook.host || '127.0.0.1'}:${server.address().port}${WEBHOOK_PATH}`;
+    }
+    
+    if (runAtStart) {
+      requestRun('start');
+    }
+    scheduleNext();
+    return webhookUrl;
+  };
+  
+  // Stop scheduling and accepting notifications; resolves when the current run has finished
+  events.stop = async () => {
+    stopped = true;
+    pending = null;
+    clearTimeout(timer);
+    if (server) {
+      await new Promise((resolve) => {
+        server.close(() => resolve());
+        server.closeAllConnections();
+      });
+    }
+    if (current) {
+      await current;
+    }
+  };
+  
+  events.isRunning = () => Boolean(current);
+  
+  return events;
+}
+
+module.exports = {
+  HISTORY_FILE,
+  WEBHOOK_PATH,
+  readHistory,
+  createDaemon
+};
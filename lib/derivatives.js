@@ -0,0 +1,177 @@
+const fs = require('fs-extra');
+const path = require('path');
+const sharp = require('sharp');
+const { DERIVATIVES_DIR } = require('./archive');
+const { DECODABLE_TYPES, normaliseType, isAttachmentList } = require('./attachments');
+const { createPool } = require('./rate-limit');
+const { ConfigError } = require('./errors');
+
+// Output formats of renditions and their file extensions
+const RENDITION_FORMATS = {
+  jpeg: '.jpg',
+  webp: '.webp',
+  avif: '.avif',
+  png: '.png'
+};
+
+// Check the renditions from the config file: a list of { name, width, format, quality }
+function normalizeRenditions(renditions) {
+  if (!Array.isArray(renditions)) {
+    throw new ConfigError('renditions must be a list of { name, width, format, quality }');
+  }
+  
+  const names = new Set();
+  return renditions.map((rendition, index) => {
+    const { name, width, format, quality } = rendition || {};
+    const label = `renditions[${index}]`;
+    
+    if (typeof name !== 'string' || !/^[a-z0-9][a-z0-9_-]*$/i.test(name)) {
+      throw new ConfigError(`${label}.name must be letters, digits, "-" and "_"`);
+    }
+    if (names.has(name)) {
+      throw new ConfigError(`Rendition "${name}" is defined twice`);
+    }
+    names.add(name);
+    
+    if (!Number.isInteger(width) || width < 1) {
+      throw new ConfigError(`${label}.width must be a whole number of pixels`);
+    }
+    if (!RENDITION_FORMATS[format]) {
+      throw new ConfigError(`Unknown format "${format}" in ${label}. Expected one of: ${Object.keys(RENDITION_FORMATS).join(', ')}`);
+    }
+    if (quality !== undefined && (!Number.isInteger(quality) || quality < 1 || quality > 100)) {
+      throw new ConfigError(`${label}.quality must be a whole number from 1 to 100`);
+    }
+    
+    return { name, width, format, quality: quality || null };
+  });
+}
+
+// Path of an image's rendition relative to the output directory: derivatives/<recordId>/<attachmentId>-<name>.<ext>
+function renditionPath(recordId, image, rendition) {
+  return path.join(DERIVATIVES_DIR, recordId, `${image.id}-${rendition.name}${RENDITION_FORMATS[rendition.format]}`);
+}
+
+// Whether a manifest entry is a rendition of the current file with the current settings
+function isUpToDate(outputDir, entry, image, rendition) {
+  return Boolean(entry) &&
+    entry.source === image.sha256 &&
+    entry.format === rendition.format &&
+    entry.maxWidth === rendition.width &&
+    entry.quality === rendition.quality &&
+    fs.existsSync(path.join(outputDir, entry.path));
+}
+
+// Write one rendition of an image with its EXIF orientation applied. Images narrower than the
+// rendition keep their width. Resolves with the dimensions and size of the written file.
+async function createRendition(sourcePath, targetPath, rendition) {
+  const partialPath = `${targetPath}.part`;
+  await fs.ensureDir(path.dirname(targetPath));
+  
+  try {
+    const info = await sharp(sourcePath)
+      .rotate()
+      .resize({ width: rendition.width, withoutEnlargement: true })
+      .toFormat(rendition.format, rendition.quality ? { quality: rendition.quality } : {})
+      .toFile(partialPath);
+    await fs.move(partialPath, targetPath, { overwrite: true });
+    return { width: info.width, height: info.height, size: info.size };
+  } catch (error) {
+    await fs.remove(partialPath);
+    throw error;
+  }
+}
+
+// Remove rendition files and record folders that no manifest entry refers to
+function removeStaleRenditions(outputDir, expected) {
+  const dir = path.join(outputDir, DERIVATIVES_DIR);
+  let removed = 0;
+  if (!fs.existsSync(dir)) {
+    return removed;
+  }
+  
+  for (const folder of fs.readdirSync(dir)) {
+    const folderPath = path.join(dir, folder);
+    for (const file of fs.readdirSync(folderPath)) {
+      if (!expected.has(path.join(DERIVATIVES_DIR, folder, file))) {
+        fs.removeSync(path.join(folderPath, file));
+        removed++;
+      }
+    }
+    if (fs.readdirSync(folderPath).length === 0) {
+      fs.removeSync(folderPath);
+    }
+  }
+  
+  return removed;
+}
+
+// Make the renditions of the downloaded images of the records and store them on their attachment
+// entries as `derivatives`, keyed by rendition name. Renditions made from the same file with the
+// same settings are kept unless force is set. Files of renditions that no entry refers to any more
+// are removed. Resolves with the counts and the list of images that couldn't be converted.
+async function addDerivatives(outputDir, records, { renditions, concurrency = 2, force = false, onProgress = () => {} } = {}) {
+  const checked = normalizeRenditions(renditions);
+  const pool = createPool(concurrency);
+  const entries = records.flatMap(record => Object.values(record)
+    .filter(isAttachmentList)
+    .flat()
+    .map(image => ({ record, image })));
+  const convertible = entries.filter(({ image }) => image.sha256 && DECODABLE_TYPES.includes(normaliseType(image.type)));
+  const summary = { images: convertible.length, created: 0, upToDate: 0, failed: 0, removed: 0, failures: [] };
+  const expected = new Set();
+  let done = 0;
+  
+  await Promise.all(convertible.map(({ record, image }) => pool.run(async () => {
+    const previous = image.derivatives || {};
+    const derivatives = {};
+    
+    for (const rendition of checked) {
+      if (!force && isUpToDate(outputDir, previous[rendition.name], image, rendition)) {
+        derivatives[rendition.name] = previous[rendition.name];
+        summary.upToDate++;
+        continue;
+      }
+      
+      const relativePath = renditionPath(record.id, image, rendition);
+      try {
+        const result = await createRendition(path.join(outputDir, image.path), path.join(outputDir, relativePath), rendition);
+        derivatives[rendition.name] = {
+          path: relativePath,
+          format: rendition.format,
+          width: result.width,
+          height: result.height,
+          size: result.size,
+          maxWidth: rendition.width,
+          quality: rendition.quality,
+          source: image.sha256
+        };
+        summary.created++;
+      } catch (error) {
+        summary.failed++;
+        summary.failures.push({ recordId: record.id, attachmentId: image.id, path: image.path, rendition: rendition.name, error: error.message });
+      }
+    }
+    
+    image.derivatives = derivatives;
+    Object.values(derivatives).forEach(entry => expected.add(entry.path));
+    onProgress(++done, convertible.length);
+  })));
+  
+  // Entries that can't be converted (failed downloads, other types) have no renditions
+  const converted = new Set(convertible.map(({ image }) => image));
+  for (const { image } of entries) {
+    if (!converted.has(image)) {
+      delete image.derivatives;
+    }
+  }
+  
+  summary.removed = removeStaleRenditions(outputDir, expected);
+  return summary;
+}
+
+module.exports = {
+  RENDITION_FORMATS,
+  normalizeRenditions,
+  addDerivatives
+};
@@ -0,0 +1,138 @@
+const { TABLES } = require('./config');
+const { isAttachmentList } = require('./attachments');
+const { linkIds } = require('./schema');
+
+// Link keys of the mattress records that are compared by linked record instead of by value
+const LINK_KEYS = ['photographers', 'location'];
+
+// Compare values ignoring attachment URLs, which change on every fetch
+function sameValue(a, b) {
+  const withoutUrls = (key, value) => (key === 'url' ? undefined : value);
+  return JSON.stringify(a, withoutUrls) === JSON.stringify(b, withoutUrls);
+}
+
+// Name of a linked record, from the expanded link or the linked table, falling back to its ID
+function linkName(link, names) {
+  if (link && typeof link === 'object' && link.name) {
+    return link.name;
+  }
+  const id = typeof link === 'string' ? link : link && link.id;
+  return names.get(id) || id;
+}
+
+// Linked records added and removed between two values of a link field
+function diffLinks(before, after, names) {
+  const beforeLinks = new Map(linkIds(before).map((id, index) => [id, [].concat(before)[index]]));
+  const afterLinks = new Map(linkIds(after).map((id, index) => [id, [].concat(after)[index]]));
+  const describe = ([id, link]) => ({ id, name: linkName(link, names) });
+  
+  return {
+    added: [...afterLinks].filter(([id]) => !beforeLinks.has(id)).map(describe),
+    removed: [...beforeLinks].filter(([id]) => !afterLinks.has(id)).map(describe)
+  };
+}
+
+// Attachments added, removed and changed (different checksum or size) between two attachment lists
+function diffImages(field, before = [], after = []) {
+  const beforeById = new Map(before.map(image => [image.id, image]));
+  const afterById = new Map(after.map(image => [image.id, image]));
+  const describe = (image) => ({ field, id: image.id, path: image.path, originalFilename: image.originalFilename });
+  
+  return {
+    added: after.filter(image => !beforeById.has(image.id)).map(describe),
+    removed: before.filter(image => !afterById.has(image.id)).map(describe),
+    changed: after
+      .filter(image => beforeById.has(image.id))
+      .filter(image => {
+        const previous = beforeById.get(image.id);
+        return previous.sha256 !== image.sha256 || previous.size !== image.size;
+      })
+      .map(describe)
+  };
+}
+
+// Differences between two versions of a record, or null if they're the same.
+// Attachment fields are compared per attachment and link keys per linked record;
+// every other field by value.
+function diffRecord(before, after, { linkKeys = [], names = new Map() } = {}) {
+  const fields = [];
+  const links = {};
+  const images = { added: [], removed: [], changed: [] };
+  
+  const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])].filter(key => key !== 'id');
+  for (const key of keys) {
+    if (sameValue(before[key], after[key])) {
+      continue;
+    }
+    
+    if (linkKeys.includes(key)) {
+      const change = diffLinks(before[key], after[key], names);
+      if (change.added.length || change.removed.length) {
+        links[key] = change;
+      }
+    } else if (isAttachmentList(before[key]) || isAttachmentList(after[key])) {
+      const change = diffImages(key, before[key], after[key]);
+      Object.keys(images).forEach(kind => images[kind].push(...change[kind]));
+    } else {
+      fields.push({ field: key, from: before[key], to: after[key] });
+    }
+  }
+  
+  const imageChanges = images.added.length + images.removed.length + images.changed.length;
+  if (!fields.length && !Object.keys(links).length && !imageChanges) {
+    return null;
+  }
+  return { fields, links, images };
+}
+
+// Added, removed and modified records of a table
+function diffTable(before, after, options) {
+  const beforeById = new Map(before.map(record => [record.id, record]));
+  const afterById = new Map(after.map(record => [record.id, record]));
+  const modified = [];
+  
+  for (const record of after) {
+    const previous = beforeById.get(record.id);
+    const changes = previous && diffRecord(previous, record, options);
+    if (changes) {
+      modified.push({ id: record.id, ...changes });
+    }
+  }
+  
+  return {
+    added: after.filter(record => !beforeById.has(record.id)),
+    removed: before.filter(record => !afterById.has(record.id)),
+    modified
+  };
+}
+
+// Compare the table data of two archives or snapshots (as read by readTables).
+// Mattress links to photographers and locations are reported as added and removed linked records.
+function diffArchives(before, after) {
+  // Names of linked records from both sides, for links that aren't expanded
+  const names = new Map();
+  for (const data of [before, after]) {
+    for (const tableName of [TABLES.PHOTOGRAPHER, TABLES.LOCATION]) {
+      data[tableName].forEach(record => names.set(record.id, record.name || record.id));
+    }
+  }
+  
+  const tables = {};
+  for (const tableName of Object.values(TABLES)) {
+    const linkKeys = tableName === TABLES.MATTRESSES ? LINK_KEYS : [];
+    tables[tableName] = diffTable(before[tableName], after[tableName], { linkKeys, names });
+  }
+  
+  const summary = Object.fromEntries(Object.entries(tables).map(([tableName, changes]) => [tableName, {
+    added: changes.added.length,
+    removed: changes.removed.length,
+    modified: changes.modified.length
+  }]));
+  
+  return { summary, tables };
+}
+
+module.exports = {
+  diffRecord,
+  diffArchives
+};
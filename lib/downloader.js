@@ -0,0 +1,1073 @@
+const { EventEmitter } = require('events');
+const axios = require('axios');
+const path = require('path');
+const { pipeline } = require('stream');
+const { TABLES, defaultConfig } = require('./config');
+const { createAirtableClient } = require('./airtable');
+const { TokenBucket, createPool, retryAfterMs, isTransientError, backoffMs, delay } = require('./rate-limit');
+const { attachmentFilename, createHashStream } = require('./attachments');
+const { IMAGES_DIR, TABLES_DIR, SYNC_STATE_FILE, archiveCounts } = require('./archive');
+const { parseStorageUrl, createStorage } = require('./storage');
+const { needsFilenameMigration, migrateImageFilenames } = require('./migrate-filenames');
+const { createCheckpoint } = require('./checkpoint');
+const { createRecordExporter } = require('./schema');
+const { runPreflight, preflightError } = require('./preflight');
+const { EXPORTERS, writeFormat } = require('./exporters');
+const { createRecorder } = require('./fixtures');
+const { createSnapshot } = require('./snapshots');
+const { addImageMetadata } = require('./metadata');
+const { acquireLock } = require('./lock');
+const { normalizeRenditions, addDerivatives } = require('./derivatives');
+const {
+  normalizeFilter, isEmptyFilter, describeFilter, combineFormulas, namesFormula, linkedFormula, dateFormula, filterId
+} = require('./filter');
+const { ConfigError, AirtableError, DownloadError } = require('./errors');
+
+// How often a request that failed with a server error or a network failure is sent again
+const MAX_RETRIES = 5;
+
+// Attachment URLs expire after a few hours; the CDN then answers with a 4xx status (other than 429)
+function isExpiredUrlError(error) {
+  const status = error.response && error.response.status;
+  return status >= 400 && status < 500 && status !== 429;
+}
+
+// Build a filterByFormula that matches records modified after the given ISO timestamp
+function modifiedSinceFormula(since) {
+  return `IS_AFTER(LAST_MODIFIED_TIME(), '${since}')`;
+}
+
+// Compare two exported records, ignoring attachment URLs which change on every fetch
+function isSameRecord(a, b) {
+  const withoutUrls = (key, value) => (key === 'url' ? undefined : value);
+  return JSON.stringify(a, withoutUrls) === JSON.stringify(b, withoutUrls);
+}
+
+// Merge fetched records into an existing table and drop records that no longer exist in Airtable
+function mergeRecords(existing, fetched, currentIds) {
+  const changes = { added: [], updated: [], removed: [] };
+  const recordsById = new Map(existing.map(record => [record.id, record]));
+  
+  for (const record of fetched) {
+    const previous = recordsById.get(record.id);
+    if (!previous) {
+      changes.added.push(record.id);
+    } else if (!isSameRecord(previous, record)) {
+      changes.updated.push(record.id);
+    }
+    recordsById.set(record.id, record);
+  }
+  
+  for (const id of recordsById.keys()) {
+    if (!currentIds.has(id)) {
+      changes.removed.push(id);
+      recordsById.delete(id);
+    }
+  }
+  
+  return { records: [...recordsById.values()], changes };
+}
+
+// Time an image request takes apart from transferring its bytes (connection, CDN lookup) in seconds,
+// used for the time estimate of a plan
+const IMAGE_REQUEST_SECONDS = 0.5;
+
+// Estimated duration in milliseconds of a number of Airtable requests and image downloads, from the
+// API rate limit, the image download pool and limit and the expected bandwidth
+function estimateDuration(config, { requests, downloads, bytes }) {
+  const api = requests / config.API_RATE_LIMIT;
+  const images = Math.max(
+    bytes / config.BANDWIDTH,
+    (downloads * IMAGE_REQUEST_SECONDS) / config.IMAGE_CONCURRENCY,
+    config.IMAGE_RATE_LIMIT ? downloads / config.IMAGE_RATE_LIMIT : 0
+  );
+  return Math.round((api + images) * 1000);
+}
+
+// Add up the image counts and bytes of planned records or tables
+function sumPlans(plans) {
+  return plans.reduce((sum, plan) => ({
+    new: sum.new + plan.new,
+    changed: sum.changed + plan.changed,
+    unchanged: sum.unchanged + plan.unchanged,
+    bytes: sum.bytes + plan.bytes
+  }), { new: 0, changed: 0, unchanged: 0, bytes: 0 });
+}
+
+// Check the options of a downloader and throw a ConfigError for the first problem
+function validateConfig(config) {
+  if (!config.BASE_ID || !config.API_KEY) {
+    throw new ConfigError('BASE_ID and BASE_API_KEY must be set');
+  }
+  
+  const unknown = config.FORMATS.filter(format => !EXPORTERS[format]);
+  if (unknown.length > 0) {
+    throw new ConfigError(`Unknown output format "${unknown.join(', ')}". Expected one of: ${Object.keys(EXPORTERS).join(', ')}`);
+  }
+  
+  normalizeFilter(config.FILTER);
+  normalizeRenditions(config.RENDITIONS);
+  
+  if (config.STORAGE) {
+    parseStorageUrl(config.STORAGE);
+    if (config.RECORD_DIR) {
+      throw new ConfigError('Recording a run (RECORD_DIR) needs the archive on the local disk, not in STORAGE');
+    }
+  }
+  
+  const unknownTables = (config.ONLY_TABLES || []).filter(tableName => !Object.values(TABLES).includes(tableName));
+  if (unknownTables.length > 0) {
+    throw new ConfigError(`Unknown table "${unknownTables.join(', ')}". Expected one of: ${Object.values(TABLES).join(', ')}`);
+  }
+}
+
+// Create a downloader for one archive. Options use the keys of defaultConfig() in lib/config.js
+// (BASE_ID, API_KEY, OUTPUT_DIR, TABLE_NAMES, ...) and override its defaults.
+//
+// The downloader is an EventEmitter; run() downloads or syncs the archive and resolves with a
+// summary (also emitted as "done"). plan() only fetches the records and resolves with what a run
+// would download. Nothing is written and no request is made before run() or plan().
+// Failures reject the promise with the typed errors from lib/errors.js. See the README for the
+// list of events.
+function createDownloader(options = {}) {
+  const CONFIG = { ...defaultConfig(), ...options };
+  validateConfig(CONFIG);
+  
+  // The output directory holds the checkpoint and lock of a run; images, table files and the sync
+  // state go to the storage, which is the output directory too unless STORAGE is set
+  const OUTPUT_DIR = CONFIG.OUTPUT_DIR;
+  const storage = createStorage(CONFIG);
+  const tableKey = tableName => `${TABLES_DIR}/${tableName}.json`;
+  
+  const events = new EventEmitter();
+  const emit = (event, payload) => events.emit(event, payload);
+  
+  // Airtable client with the shared API token bucket, a limiter and worker pool for the attachment CDN,
+  // and the checkpoint of the current run (set RESTART to discard it)
+  const airtable = createAirtableClient({
+    baseId: CONFIG.BASE_ID,
+    apiKey: CONFIG.API_KEY,
+    apiUrl: CONFIG.API_URL,
+    rateLimit: CONFIG.API_RATE_LIMIT,
+    retries: MAX_RETRIES,
+    retryDelay: CONFIG.RETRY_DELAY,
+    onRateLimit: (wait) => emit('rate-limit', { source: 'airtable', wait }),
+    onRetry: ({ attempt, wait, error }) => emit('retry', { source: 'airtable', attempt, retries: MAX_RETRIES, wait, error }),
+    onResponse: (request, response) => {
+      apiRequests++;
+      if (recorder) recorder.response(request, response);
+    }
+  });
+  const imageLimiter = new TokenBucket({ rate: CONFIG.IMAGE_RATE_LIMIT });
+  const imagePool = createPool(CONFIG.IMAGE_CONCURRENCY);
+  const checkpoint = createCheckpoint(OUTPUT_DIR);
+  // Recording of the Airtable and attachment traffic (RECORD_DIR), created when the run starts
+  let recorder = null;
+  
+  // State of the current run: the schema-driven record exporter, the records fetched again
+  // for fresh attachment URLs by record ID, and the resolved download filter
+  let exporter;
+  let refreshedRecords;
+  let mattressFilter = null;
+  let running = null;
+  // Airtable requests made so far, and whether the current call is a plan, which doesn't write the checkpoint
+  let apiRequests = 0;
+  let planning = false;
+  
+  // Helper function to make Airtable API requests with rate limiting and pagination
+  // extraParams is passed through to the API, e.g. { filterByFormula, fields }
+  // With a checkpointKey every page is saved, so an interrupted fetch continues from its last offset.
+  // A plan leaves the checkpoint alone.
+  async function fetchAirtableRecords(tableName, maxRecords = null, extraParams = {}, key = null) {
+    const checkpointKey = planning ? null : key;
+    const saved = checkpointKey ? checkpoint.pagination(checkpointKey) : null;
+    
+    if (saved) {
+      emit('fetch:resume', { table: tableName, records: saved.records.length, complete: saved.complete });
+    }
+    if (saved && saved.complete) {
+      return saved.records;
+    }
+    
+    const records = saved ? saved.records : [];
+    let offset = saved ? saved.offset : null;
+    
+    do {
+      emit('fetch:start', { table: tableName, offset });
+      
+      try {
+        const params = {
+          view: CONFIG.VIEW,
+          ...extraParams,
+          ...(maxRecords ? { maxRecords } : {}),
+          ...(offset ? { offset } : {})
+        };
+        
+        // The client waits for the shared API rate limit and retries 429 responses
+        const response = await airtable.listRecords(CONFIG.TABLE_NAMES[tableName] || tableName, params);
+        
+        const page = response.records;
+        records.push(...page);
+        emit('fetch:page', { table: tableName, count: page.length, total: records.length });
+        
+        // If there's more data to fetch (pagination)
+        offset = maxRecords ? null : (response.offset || null);
+        
+        if (checkpointKey) {
+          checkpoint.savePage(checkpointKey, page, offset);
+        }
+      } catch (error) {
+        // Airtable only keeps pagination offsets for a limited time
+        if (offset && error instanceof AirtableError && error.status === 422 && error.type === 'LIST_RECORDS_ITERATOR_NOT_AVAILABLE') {
+          emit('fetch:offset-expired', { table: tableName });
+          if (checkpointKey) {
+            checkpoint.resetPagination(checkpointKey);
+          }
+          records.length = 0;
+          offset = null;
+          continue;
+        }
+        
+        throw error;
+      }
+    } while (offset);
+    
+    return records;
+  }
+  
+  // Download an image from a URL with rate limiting, streaming it to the storage.
+  // Resolves with the byte count and SHA-256 checksum.
+  // A connection that drops before Content-Length bytes arrived fails the download. Server errors
+  // and network failures are retried MAX_RETRIES times, waiting RETRY_DELAY and doubling it.
+  // Rate limit responses wait for Retry-After and count towards the same retries.
+  async function downloadImage(url, key, attempt = 0) {
+    try {
+      // Wait for the shared attachment download rate limit
+      await imageLimiter.take();
+      
+      const response = await axios({
+        url,
+        method: 'GET',
+        responseType: 'stream'
+      });
+      
+      const expected = Number(response.headers['content-length']) || null;
+      // pipeline() passes a dropped connection on to the hashing stream and handles its error
+      // events, also those before the storage starts reading
+      const hashing = pipeline(response.data, createHashStream({ expectedSize: expected }), () => {});
+      
+      await storage.writeStream(key, hashing, { size: expected });
+      return { bytes: hashing.size, sha256: hashing.digest() };
+    } catch (error) {
+      if (error.response && error.response.status === 429 && attempt < MAX_RETRIES) {
+        const wait = retryAfterMs(error.response.headers, 30000);
+        imageLimiter.pause(wait);
+        emit('rate-limit', { source: 'attachments', wait });
+        return downloadImage(url, key, attempt + 1);
+      }
+      if (attempt < MAX_RETRIES && isTransientError(error)) {
+        const wait = backoffMs(attempt + 1, CONFIG.RETRY_DELAY);
+        emit('retry', { source: 'attachments', attempt: attempt + 1, retries: MAX_RETRIES, wait, error });
+        await delay(wait);
+        return downloadImage(url, key, attempt + 1);
+      }
+      
+      throw error;
+    }
+  }
+  
+  // Fetch a record again for fresh attachment URLs and find the attachment in it.
+  // Each record is fetched at most once per run, however many of its attachments expired.
+  // Resolves with null if the attachment was removed from the record.
+  async function refreshAttachment(tableName, recordId, attachmentId) {
+    if (!refreshedRecords.has(recordId)) {
+      refreshedRecords.set(recordId, airtable.getRecord(CONFIG.TABLE_NAMES[tableName], recordId));
+    }
+    
+    const record = await refreshedRecords.get(recordId);
+    const attachments = exporter.attachmentColumns(tableName).flatMap(column => record.fields[column.field.name] || []);
+    return attachments.find(attachment => attachment.id === attachmentId) || null;
+  }
+  
+  // Check whether a stored image is the attachment we expect, or resolve with null if there's none.
+  // An image whose previous manifest entry has a checksum only has to have the attachment's size:
+  // hashing every stored image on every sync would read the whole archive. VERIFY_IMAGES compares
+  // the checksums instead, and images without a recorded checksum are hashed and checked by size.
+  // Object storage can't tell checksums without reading the object back, so there the size has to
+  // match and the checksum of the previous entry is kept.
+  async function checkExistingImage(key, image, previous) {
+    const stats = await storage.stat(key);
+    if (!stats) {
+      return null;
+    }
+    
+    const sizeDiffers = `size differs (${stats.size} vs ${image.size})`;
+    if (previous && previous.sha256 && image.size && !CONFIG.VERIFY_IMAGES) {
+      return { unchanged: stats.size === image.size, sha256: previous.sha256, reason: sizeDiffers };
+    }
+    
+    const sha256 = await storage.checksum(key);
+    if (!sha256) {
+      return previous && previous.sha256
+        ? { unchanged: stats.size === image.size, sha256: previous.sha256, reason: sizeDiffers }
+        : { unchanged: false, sha256: null, reason: 'no checksum is recorded' };
+    }
+    if (previous && previous.sha256) {
+      return { unchanged: previous.sha256 === sha256, sha256, reason: 'checksum differs' };
+    }
+    return { unchanged: stats.size === image.size, sha256, reason: sizeDiffers };
+  }
+  
+  // Process and download the attachments of a record through the shared download pool.
+  // Every attachment field of the table is downloaded into images/<recordId>/ of the storage.
+  // previousEntries are the record's attachment entries from the last run, used to recognise unchanged files.
+  // Resolves with the entries per attachment field and the list of downloads that failed.
+  async function processAttachments(tableName, record, previousEntries = []) {
+    const columns = exporter.attachmentColumns(tableName);
+    const recordImagesKey = `${IMAGES_DIR}/${record.id}`;
+    const attachments = {};
+    const failures = [];
+    
+    const images = columns.flatMap(column => record.fields[column.field.name] || []);
+    
+    if (!images.length) {
+      await storage.remove(recordImagesKey);
+      return { attachments, failures };
+    }
+    
+    emit('image:queued', { table: tableName, recordId: record.id, count: images.length });
+    
+    const previousById = new Map(previousEntries.map(image => [image.id, image]));
+    
+    // Download an attachment, fetching a fresh URL from Airtable once if the stored one has expired.
+    // Resolves with the download and the URL that worked.
+    const downloadAttachment = async (image, imageKey) => {
+      try {
+        return { download: await downloadImage(image.url, imageKey), url: image.url };
+      } catch (error) {
+        if (!isExpiredUrlError(error)) {
+          throw error;
+        }
+        
+        emit('url-expired', {
+          table: tableName,
+          recordId: record.id,
+          attachmentId: image.id,
+          path: imageKey,
+          status: error.response.status
+        });
+        const fresh = await refreshAttachment(tableName, record.id, image.id);
+        if (!fresh) {
+          throw new Error('the attachment no longer exists in Airtable');
+        }
+        
+        return { download: await downloadImage(fresh.url, imageKey), url: fresh.url };
+      }
+    };
+    
+    const processImage = (image) => imagePool.run(async () => {
+      const imageFilename = attachmentFilename(image);
+      const imageKey = `${recordImagesKey}/${imageFilename}`;
+      const details = { table: tableName, recordId: record.id, attachmentId: image.id, path: imageKey };
+      
+      let sha256 = null;
+      let url = image.url;
+      
+      // Check if the image already exists
+      try {
+        const existing = await checkExistingImage(imageKey, image, previousById.get(image.id));
+        
+        if (existing && existing.unchanged) {
+          sha256 = existing.sha256;
+        } else if (existing) {
+          emit('warning', { message: `Image ${imageFilename} for record ${record.id} exists but ${existing.reason}. Re-downloading.` });
+        }
+      } catch (error) {
+        emit('warning', { message: `Error checking existing image ${imageKey}: ${error.message}` });
+        // If there's an error checking the file, download it again to be safe
+      }
+      
+      try {
+        if (sha256) {
+          emit('image:skipped', details);
+        } else {
+          const result = await downloadAttachment(image, imageKey);
+          sha256 = result.download.sha256;
+          url = result.url;
+          emit('image:downloaded', { ...details, bytes: result.download.bytes });
+        }
+        // Images already present are recorded too, so a replay has every attachment
+        if (recorder) {
+          recorder.attachment(image.id, storage.localPath(imageKey));
+        }
+      } catch (error) {
+        const failure = new DownloadError(`Failed to download image ${imageFilename} for record ${record.id}: ${error.message}`, {
+          recordId: record.id,
+          attachmentId: image.id,
+          status: error.response ? error.response.status : null,
+          cause: error
+        });
+        emit('image:failed', { ...details, error: failure });
+        // Keep the entry without a checksum so the image is retried on the next run
+        failures.push({ recordId: record.id, attachmentId: image.id, filename: imageFilename, error: error.message });
+      }
+      
+      // Metadata and renditions of an unchanged file are kept; changed files get new ones after the download
+      const previous = previousById.get(image.id);
+      const unchanged = previous && sha256 && previous.sha256 === sha256;
+      const metadata = unchanged ? previous.metadata : undefined;
+      const derivatives = unchanged ? previous.derivatives : undefined;
+      
+      return {
+        id: image.id,
+        filename: imageFilename,
+        originalFilename: image.filename,
+        path: imageKey,
+        url,
+        size: image.size,
+        type: image.type,
+        sha256,
+        ...(metadata ? { metadata } : {}),
+        ...(derivatives ? { derivatives } : {})
+      };
+    });
+    
+    await Promise.all(columns.map(async (column) => {
+      attachments[column.field.name] = await Promise.all((record.fields[column.field.name] || []).map(processImage));
+    }));
+    
+    // When some URLs expired and the record was fetched again, store fresh URLs for all its attachments
+    if (refreshedRecords.has(record.id)) {
+      for (const entry of Object.values(attachments).flat()) {
+        const fresh = await refreshAttachment(tableName, record.id, entry.id).catch(() => null);
+        if (fresh) {
+          entry.url = fresh.url;
+        }
+      }
+    }
+    
+    // Remove files of attachments that were deleted from the record
+    const expected = new Set(images.map(attachmentFilename));
+    for (const file of await storage.list(recordImagesKey)) {
+      if (!expected.has(file)) {
+        await storage.remove(`${recordImagesKey}/${file}`);
+      }
+    }
+    
+    return { attachments, failures };
+  }
+  
+  // Compare the attachments of a record with the stored images the way processAttachments does,
+  // without downloading anything. Resolves with the new, changed and unchanged images and the bytes
+  // to download, or null if the record has no attachments.
+  async function planRecord(tableName, record, previousEntries = []) {
+    const images = exporter.attachmentColumns(tableName).flatMap(column => record.fields[column.field.name] || []);
+    if (!images.length) {
+      return null;
+    }
+    
+    const previousById = new Map(previousEntries.map(image => [image.id, image]));
+    const plan = { id: record.id, new: 0, changed: 0, unchanged: 0, bytes: 0 };
+    
+    await Promise.all(images.map(image => imagePool.run(async () => {
+      const imageKey = `${IMAGES_DIR}/${record.id}/${attachmentFilename(image)}`;
+      let existing;
+      try {
+        existing = await checkExistingImage(imageKey, image, previousById.get(image.id));
+      } catch (error) {
+        emit('warning', { message: `Error checking existing image ${imageKey}: ${error.message}` });
+        // The download would fetch it again to be safe
+        existing = { unchanged: false };
+      }
+      
+      if (existing && existing.unchanged) {
+        plan.unchanged++;
+        return;
+      }
+      plan[existing ? 'changed' : 'new']++;
+      plan.bytes += image.size || 0;
+    })));
+    
+    return plan;
+  }
+  
+  // All attachment entries of an exported record, across its attachment fields
+  function attachmentEntries(tableName, record) {
+    return exporter.attachmentColumns(tableName).flatMap(column => record[column.key] || []);
+  }
+  
+  // Turn the stored attachment entries of an exported record back into an Airtable record
+  // so processAttachments can check them again
+  function attachmentRecord(tableName, record) {
+    const fields = {};
+    for (const column of exporter.attachmentColumns(tableName)) {
+      fields[column.field.name] = (record[column.key] || []).map(image => ({
+        id: image.id,
+        url: image.url,
+        filename: image.originalFilename,
+        size: image.size,
+        type: image.type
+      }));
+    }
+    return { id: record.id, fields };
+  }
+  
+  // Query parameters and checkpoint key of a fetch from a table. The download filter applies to
+  // mattresses; its ID is part of the key, so a checkpoint is only resumed with the same filter.
+  function fetchOptions(tableName, suffix = '', filterByFormula = null) {
+    if (tableName !== TABLES.MATTRESSES || !mattressFilter) {
+      return { params: filterByFormula ? { filterByFormula } : {}, key: `${tableName}${suffix}` };
+    }
+    
+    const formula = combineFormulas(mattressFilter.formula, filterByFormula);
+    return {
+      params: { view: mattressFilter.view, ...(formula ? { filterByFormula: formula } : {}) },
+      key: `${tableName}${suffix}-${mattressFilter.id}`
+    };
+  }
+  
+  // Fetch the IDs of every record in a table, used to detect deleted records. The download filter
+  // doesn't apply: a mattress that only left the selection isn't deleted.
+  async function fetchRecordIds(tableName) {
+    // Only request the primary field to keep the responses small
+    const fields = [exporter.primaryFieldName(tableName)];
+    const records = await fetchAirtableRecords(tableName, null, { fields }, `${tableName}-ids`);
+    return new Set(records.map(record => record.id));
+  }
+  
+  // Table definitions for the record exporter, from the configured names, fixed fields and options
+  function tableDefinitions() {
+    return Object.fromEntries(Object.values(TABLES).map(tableName => {
+      const tableOptions = CONFIG.TABLE_OPTIONS[tableName] || {};
+      return [tableName, {
+        name: CONFIG.TABLE_NAMES[tableName],
+        fieldNames: CONFIG.FIELD_NAMES[tableName],
+        include: tableOptions.include,
+        exclude: tableOptions.exclude,
+        expandDepth: tableOptions.expandDepth !== undefined ? tableOptions.expandDepth : CONFIG.EXPAND_DEPTH
+      }];
+    }));
+  }
+  
+  // Check the token, tables, fields and views (lib/preflight.js), then set up the record exporter
+  // from the base schema. Runs before anything is fetched or written.
+  async function loadSchema() {
+    emit('schema:start', {});
+    
+    const { schemaTables, problems } = await runPreflight(airtable, CONFIG);
+    if (problems.length > 0) {
+      throw preflightError(problems);
+    }
+    exporter = createRecordExporter(schemaTables, tableDefinitions());
+    emit('schema', { tables: schemaTables.length });
+  }
+  
+  // Fetch the other tables that linked records have to be expanded from
+  async function loadLinkedRecords() {
+    for (const table of exporter.linkedTables()) {
+      const records = await fetchAirtableRecords(table.id, null, {}, `linked-${table.id}`);
+      exporter.setLinkedRecords(table.id, records);
+      emit('linked', { table: table.name, count: records.length });
+    }
+  }
+  
+  // Formula matching mattresses linked to the named photographers or locations. The names are
+  // looked up in their table first; a name that isn't found is a ConfigError.
+  async function linkedRecordsFormula(tableName, names, linkField) {
+    if (names.length === 0) {
+      return null;
+    }
+    
+    const nameField = CONFIG.FIELD_NAMES[tableName].name;
+    const primaryField = exporter.primaryFieldName(tableName);
+    const records = await fetchAirtableRecords(tableName, null, {
+      filterByFormula: namesFormula(nameField, names),
+      fields: [...new Set([primaryField, nameField])]
+    });
+    
+    const found = new Set(records.map(record => String(record.fields[nameField] || '').trim().toLowerCase()));
+    const missing = names.filter(name => !found.has(name.toLowerCase()));
+    if (missing.length > 0) {
+      throw new ConfigError(`No ${tableName} named ${missing.map(name => `"${name}"`).join(', ')} in ${CONFIG.TABLE_NAMES[tableName]}`);
+    }
+    
+    return linkedFormula(linkField, records.map(record => record.fields[primaryField]));
+  }
+  
+  // Turn the download filter (CONFIG.FILTER) into the view and formula of the mattress fetch,
+  // or null when there's no filter
+  async function resolveFilter() {
+    const filter = normalizeFilter(CONFIG.FILTER);
+    if (isEmptyFilter(filter)) {
+      return null;
+    }
+    
+    const fieldNames = CONFIG.FIELD_NAMES[TABLES.MATTRESSES];
+    const formula = combineFormulas(
+      filter.formula,
+      dateFormula(fieldNames.date, filter),
+      await linkedRecordsFormula(TABLES.PHOTOGRAPHER, filter.photographers, fieldNames.photographers),
+      await linkedRecordsFormula(TABLES.LOCATION, filter.locations, fieldNames.location)
+    );
+    const view = filter.view || CONFIG.VIEW;
+    
+    return { description: describeFilter(filter), view, formula, id: filterId(view, formula) };
+  }
+  
+  // Download a record's attachments and build its exported record.
+  // Records finished before an interruption are taken from the checkpoint.
+  async function processRecord(tableName, record, previousEntries) {
+    const saved = checkpoint.processedRecord(record.id);
+    if (saved) {
+      const entries = attachmentEntries(tableName, saved);
+      emit('image:queued', { table: tableName, recordId: record.id, count: entries.length });
+      entries.forEach(image => emit('image:skipped', { table: tableName, recordId: record.id, attachmentId: image.id, path: image.path }));
+      return saved;
+    }
+    
+    const { attachments, failures } = await processAttachments(tableName, record, previousEntries);
+    const exported = exporter.exportRecord(tableName, record, attachments);
+    checkpoint.markProcessed(exported, failures);
+    emit('record', { table: tableName, record: exported });
+    return exported;
+  }
+  
+  // Process fetched records; the attachments of all of them share one download pool. Tables with
+  // attachment fields report it as a batch of image downloads ('all' or 'changed' records).
+  async function processRecords(tableName, records, batch, previousEntries = new Map()) {
+    const hasAttachments = exporter.attachmentColumns(tableName).length > 0;
+    if (hasAttachments) {
+      emit('images:start', { table: tableName, records: batch });
+    }
+    
+    const exported = await Promise.all(records.map(record => (
+      processRecord(tableName, record, previousEntries.get(record.id))
+    )));
+    
+    if (hasAttachments) {
+      emit('images:done', { table: tableName });
+    }
+    return exported;
+  }
+  
+  // Fetch every record of a table and download its attachments
+  async function downloadTable(tableName) {
+    emit('table:start', { table: tableName, sync: false });
+    
+    const { params, key } = fetchOptions(tableName);
+    const records = await fetchAirtableRecords(tableName, CONFIG.SAMPLE_SIZE[tableName], params, key);
+    emit('table:fetched', { table: tableName, count: records.length, changed: false });
+    
+    const exported = await processRecords(tableName, records, 'all');
+    
+    exporter.setRecords(tableName, exported);
+    return exported;
+  }
+  
+  // Read the time of the last successful sync, if any
+  async function readSyncState() {
+    return (await storage.readJson(SYNC_STATE_FILE)) || { lastSyncTime: null };
+  }
+  
+  // Refuse a new or different download filter on an archive that already has mattresses. The
+  // mattresses outside the selection would stay in it, so the archive would be neither the old
+  // selection nor the new one. Dropping the filter syncs the whole base and is fine.
+  async function checkFilterChange(syncState, filter) {
+    const previous = syncState.filter || null;
+    if (!filter || filter === previous) {
+      return;
+    }
+    
+    const mattresses = await storage.readJson(tableKey(TABLES.MATTRESSES));
+    if (mattresses && mattresses.length > 0) {
+      throw new ConfigError(`The archive in ${storage.location} was downloaded ${previous ? 'with a different filter' : 'without a filter'}. Download the selection into its own directory with --out, or drop the filter options to sync the whole base.`);
+    }
+  }
+  
+  // Time of the last sync, or null when every record has to be fetched again. Records that didn't
+  // change in Airtable still have to be exported again when the exported fields changed (schema or
+  // config file), and a different filter selects other mattresses.
+  function changesSince(syncState, filter) {
+    if (!syncState.lastSyncTime) {
+      return null;
+    }
+    if (syncState.fields !== exporter.signature()) {
+      emit('info', { message: 'The exported fields changed since the last sync. Fetching all records again...' });
+      return null;
+    }
+    if ((syncState.filter || null) !== filter) {
+      emit('info', { message: 'The download filter changed since the last sync. Fetching all records again...' });
+      return null;
+    }
+    return syncState.lastSyncTime;
+  }
+  
+  // Fetch the records changed since the last sync plus the IDs of all current records
+  async function fetchChanges(tableName, since) {
+    const { params, key } = fetchOptions(tableName, '-changed', since ? modifiedSinceFormula(since) : null);
+    const records = await fetchAirtableRecords(tableName, null, params, key);
+    
+    // Without a previous sync time every record counts as changed, and without a filter those are
+    // all current records
+    const filtered = tableName === TABLES.MATTRESSES && mattressFilter;
+    if (!since && !filtered) {
+      return { records, currentIds: new Set(records.map(record => record.id)) };
+    }
+    
+    const currentIds = await fetchRecordIds(tableName);
+    return { records, currentIds };
+  }
+  
+  // Sync a table with Airtable, downloading attachments of changed records and removing deleted ones.
+  // Mattresses outside the download filter stay as they were last downloaded.
+  async function syncTable(tableName, existing, since) {
+    emit('table:start', { table: tableName, sync: true });
+    
+    const { records, currentIds } = await fetchChanges(tableName, since);
+    emit('table:fetched', { table: tableName, count: records.length, changed: true });
+    
+    const previousEntries = new Map(existing.map(record => [record.id, attachmentEntries(tableName, record)]));
+    const fetched = await processRecords(tableName, records, 'changed', previousEntries);
+    
+    // Re-link both sides first so renamed linked records don't count as changes
+    const result = mergeRecords(
+      existing.map(record => exporter.relink(tableName, record)),
+      fetched.map(record => exporter.relink(tableName, record)),
+      currentIds
+    );
+    
+    for (const id of result.changes.removed) {
+      await storage.remove(`${IMAGES_DIR}/${id}`);
+    }
+    
+    // Unchanged records may still have attachments missing from an interrupted run
+    const fetchedIds = new Set(fetched.map(record => record.id));
+    await downloadMissingAttachments(tableName, result.records.filter(record => !fetchedIds.has(record.id)));
+    
+    exporter.setRecords(tableName, result.records);
+    return result;
+  }
+  
+  // Check the attachments of already downloaded records and fetch any that are missing
+  async function downloadMissingAttachments(tableName, records) {
+    if (exporter.attachmentColumns(tableName).length === 0) {
+      return;
+    }
+    
+    emit('images:start', { table: tableName, records: 'existing' });
+    
+    await Promise.all(records.map(async (record) => {
+      // Already checked before the run was interrupted
+      const saved = checkpoint.processedRecord(record.id);
+      if (saved) {
+        Object.assign(record, saved);
+        return;
+      }
+      
+      // Process attachments will handle checking if they exist and downloading if needed
+      const { attachments, failures } = await processAttachments(
+        tableName, attachmentRecord(tableName, record), attachmentEntries(tableName, record)
+      );
+      
+      for (const column of exporter.attachmentColumns(tableName)) {
+        record[column.key] = attachments[column.field.name] || [];
+      }
+      checkpoint.markProcessed(record, failures);
+    }));
+    
+    // Count the attachments present after processing; only those have a checksum
+    const entries = records.flatMap(record => attachmentEntries(tableName, record));
+    const present = entries.filter(image => image.sha256).length;
+    emit('images:done', { table: tableName, present, total: entries.length });
+  }
+  
+  // Download or sync every table, write the table files and output formats.
+  // Resolves with the summary of the run.
+  async function downloadArchive() {
+    refreshedRecords = new Map();
+    recorder = CONFIG.RECORD_DIR ? createRecorder(CONFIG.RECORD_DIR, { baseId: CONFIG.BASE_ID }) : null;
+    const data = {};
+    
+    emit('start', { config: CONFIG });
+    
+    await loadSchema();
+    
+    if (CONFIG.RESTART && checkpoint.exists()) {
+      emit('warning', { message: 'Discarding checkpoint of the previous run (--restart)' });
+      checkpoint.clear();
+    } else if (checkpoint.exists()) {
+      emit('info', { message: 'Found checkpoint of an interrupted run. Resuming where it stopped (use --restart to start over)...' });
+    }
+    
+    mattressFilter = await resolveFilter();
+    if (mattressFilter) {
+      emit('filter', mattressFilter);
+    }
+    
+    const syncState = await readSyncState();
+    const filter = mattressFilter ? mattressFilter.id : null;
+    await checkFilterChange(syncState, filter);
+    
+    // Remember when this run started; changes made during the run are picked up next time.
+    // A resumed run keeps the start time of the interrupted one.
+    const syncStartedAt = checkpoint.open();
+    const changelog = {};
+    // Whether a table was downloaded with a sample size and misses records
+    let sampled = false;
+    
+    await loadLinkedRecords();
+    
+    const fields = exporter.signature();
+    const lastSyncTime = changesSince(syncState, filter);
+    
+    // A targeted sync keeps the other tables as they are. It only works on top of an earlier sync;
+    // when every record is fetched again anyway, all tables are synced.
+    const onlyTables = lastSyncTime ? CONFIG.ONLY_TABLES : null;
+    
+    // Fetch all data
+    emit('info', { message: 'Starting data download process...' });
+    if (lastSyncTime) {
+      emit('info', { message: `Last sync: ${lastSyncTime}. Existing tables will only fetch records changed since then.` });
+    }
+    if (onlyTables) {
+      emit('info', { message: `Only syncing ${onlyTables.join(', ')}` });
+    }
+    
+    // Photographers and locations first, so mattresses can be linked to them
+    for (const tableName of [TABLES.PHOTOGRAPHER, TABLES.LOCATION, TABLES.MATTRESSES]) {
+      const existing = await storage.readJson(tableKey(tableName));
+      
+      if (existing) {
+        // One-time migration from position-based names (1.jpg, 2.jpg, ...) to attachment-ID names,
+        // which only local archives of earlier versions have
+        if (storage.type === 'local' && needsFilenameMigration(existing)) {
+          emit('migration:start', { table: tableName });
+          const migration = await migrateImageFilenames(existing, OUTPUT_DIR);
+          await storage.writeJson(tableKey(tableName), existing);
+          emit('migration', { table: tableName, ...migration });
+        }
+        
+        if (onlyTables && !onlyTables.includes(tableName)) {
+          data[tableName] = existing;
+          emit('table:skipped', { table: tableName, count: existing.length });
+          continue;
+        }
+        
+        const result = await syncTable(tableName, existing, lastSyncTime);
+        data[tableName] = result.records;
+        changelog[tableName] = result.changes;
+        emit('table:done', { table: tableName, sync: true, count: data[tableName].length, changes: result.changes });
+      } else {
+        data[tableName] = await downloadTable(tableName);
+        sampled = sampled || Boolean(CONFIG.SAMPLE_SIZE[tableName]);
+        emit('table:done', { table: tableName, sync: false, count: data[tableName].length });
+      }
+    }
+    
+    // Link all tables again now that every table is complete
+    for (const tableName of Object.values(TABLES)) {
+      data[tableName] = data[tableName].map(record => exporter.relink(tableName, record));
+    }
+    
+    // Metadata, renditions and snapshots work on the image files on the local disk
+    const localArchive = storage.type === 'local';
+    if (!localArchive && (CONFIG.METADATA || CONFIG.DERIVATIVES || CONFIG.SNAPSHOT)) {
+      emit('info', { message: `Image metadata, renditions and snapshots need the archive on the local disk. Skipping them for ${storage.location}.` });
+    }
+    
+    // Read the metadata of new images and flag capture dates that differ from the mattress date
+    if (CONFIG.METADATA && localArchive) {
+      emit('metadata:start', {});
+      const metadata = await addImageMetadata(OUTPUT_DIR, data[TABLES.MATTRESSES], {
+        concurrency: CONFIG.IMAGE_CONCURRENCY,
+        onProgress: (done, total) => emit('metadata:progress', { done, total })
+      });
+      emit('metadata', metadata);
+    }
+    
+    // Thumbnails and web-ready renditions of new and changed images
+    if (CONFIG.DERIVATIVES && localArchive) {
+      emit('derivatives:start', {});
+      const derivatives = await addDerivatives(OUTPUT_DIR, Object.values(TABLES).flatMap(tableName => data[tableName]), {
+        renditions: CONFIG.RENDITIONS,
+        onProgress: (done, total) => emit('derivatives:progress', { done, total })
+      });
+      emit('derivatives', derivatives);
+    }
+    
+    for (const tableName of Object.values(TABLES)) {
+      await storage.writeJson(tableKey(tableName), data[tableName]);
+    }
+    
+    // Write the selected output formats; they're written to the output directory and copied to the storage
+    for (const format of CONFIG.FORMATS) {
+      emit('export:start', { format });
+      const result = await writeFormat(format, data, OUTPUT_DIR);
+      const files = result.files.map(file => path.relative(OUTPUT_DIR, file).split(path.sep).join('/'));
+      for (const [index, file] of files.entries()) {
+        await storage.uploadFile(file, result.files[index]);
+      }
+      emit('export', { format, files });
+    }
+    
+    // The tables a targeted sync skipped may have changed since the last full sync, so the
+    // next full sync still starts from there. After a sample the records that were left out
+    // haven't changed since, so the next run has to fetch every record.
+    if (sampled) {
+      emit('info', { message: 'Only a sample was downloaded. The next run fetches all records again.' });
+    }
+    await storage.writeJson(SYNC_STATE_FILE, { lastSyncTime: sampled ? null : (onlyTables ? lastSyncTime : syncStartedAt), fields, filter });
+    
+    let snapshot = null;
+    if (CONFIG.SNAPSHOT && localArchive) {
+      emit('snapshot:start', {});
+      snapshot = createSnapshot(OUTPUT_DIR);
+      emit('snapshot', snapshot);
+    }
+    
+    const failedImages = checkpoint.failedImages();
+    checkpoint.clear();
+    
+    const summary = {
+      outputDir: OUTPUT_DIR,
+      storage: storage.location,
+      ...archiveCounts(data),
+      tables: onlyTables || Object.values(TABLES),
+      changelog,
+      failedImages,
+      snapshot: snapshot && snapshot.name
+    };
+    emit('done', summary);
+    return summary;
+  }
+  
+  // Fetch the records a run would fetch and compare their attachments with the stored images,
+  // without downloading or writing anything. Existing tables are synced: the records changed since
+  // the last sync are fetched and the other stored records are checked against their images.
+  // Resolves with the plan: the new, changed and unchanged images, the bytes to download, the
+  // Airtable requests and the estimated duration per table and in total, plus the images and bytes
+  // of every record with attachments.
+  async function planArchive() {
+    apiRequests = 0;
+    const plan = { outputDir: OUTPUT_DIR, storage: storage.location, tables: {}, total: null };
+    
+    emit('plan:start', { config: CONFIG });
+    
+    await loadSchema();
+    
+    mattressFilter = await resolveFilter();
+    if (mattressFilter) {
+      emit('filter', mattressFilter);
+    }
+    
+    const syncState = await readSyncState();
+    const filter = mattressFilter ? mattressFilter.id : null;
+    await checkFilterChange(syncState, filter);
+    
+    await loadLinkedRecords();
+    // The schema, filter lookups and linked records are requested by every run
+    const sharedRequests = apiRequests;
+    
+    const lastSyncTime = changesSince(syncState, filter);
+    const onlyTables = lastSyncTime ? CONFIG.ONLY_TABLES : null;
+    
+    for (const tableName of [TABLES.PHOTOGRAPHER, TABLES.LOCATION, TABLES.MATTRESSES]) {
+      const existing = await storage.readJson(tableKey(tableName));
+      if (existing && onlyTables && !onlyTables.includes(tableName)) {
+        continue;
+      }
+      if (existing && storage.type === 'local' && needsFilenameMigration(existing)) {
+        emit('info', { message: `The ${tableName} images still have position-based names. The download renames them first; until then they count as new.` });
+      }
+      
+      const requestsBefore = apiRequests;
+      let fetched;
+      let records;
+      if (existing) {
+        // The sync fetches the changed records and checks the images of the other current ones
+        const changes = await fetchChanges(tableName, lastSyncTime);
+        const fetchedIds = new Set(changes.records.map(record => record.id));
+        const kept = existing.filter(record => changes.currentIds.has(record.id) && !fetchedIds.has(record.id));
+        fetched = changes.records;
+        records = [...fetched, ...kept.map(record => attachmentRecord(tableName, record))];
+      } else {
+        const { params } = fetchOptions(tableName);
+        fetched = await fetchAirtableRecords(tableName, CONFIG.SAMPLE_SIZE[tableName], params);
+        records = fetched;
+      }
+      
+      const previousEntries = new Map((existing || []).map(record => [record.id, attachmentEntries(tableName, record)]));
+      const planned = (await Promise.all(records.map(record => (
+        planRecord(tableName, record, previousEntries.get(record.id))
+      )))).filter(Boolean);
+      
+      const table = { count: records.length, fetched: fetched.length, ...sumPlans(planned), requests: apiRequests - requestsBefore };
+      table.durationMs = estimateDuration(CONFIG, { requests: table.requests, downloads: table.new + table.changed, bytes: table.bytes });
+      plan.tables[tableName] = { ...table, records: planned };
+      emit('plan:table', { table: tableName, ...table });
+    }
+    
+    // Tables are downloaded one after the other
+    const tables = Object.values(plan.tables);
+    plan.total = {
+      records: tables.reduce((sum, table) => sum + table.count, 0),
+      ...sumPlans(tables),
+      requests: apiRequests,
+      durationMs: tables.reduce((sum, table) => sum + table.durationMs, estimateDuration(CONFIG, { requests: sharedRequests, downloads: 0, bytes: 0 }))
+    };
+    emit('plan', plan);
+    return plan;
+  }
+  
+  // Hold the archive lock for the whole run, so no other run writes the archive at the same time
+  async function run() {
+    const release = acquireLock(OUTPUT_DIR);
+    try {
+      return await downloadArchive();
+    } finally {
+      release();
+    }
+  }
+  
+  events.config = CONFIG;
+  
+  // Plan a run without writing anything, not even the lock or the checkpoint
+  events.plan = async () => {
+    if (running) {
+      throw new Error('Can\'t plan while the download is running');
+    }
+    planning = true;
+    try {
+      return await planArchive();
+    } finally {
+      planning = false;
+    }
+  };
+  
+  // Run the download; calling run() again while it's running returns the same promise
+  events.run = () => {
+    if (planning) {
+      return Promise.reject(new Error('Can\'t run the download while planning it'));
+    }
+    if (!running) {
+      running = run()
+        .catch((error) => {
+          // Emitting "error" without a listener would throw, so only emit it when someone listens
+          if (events.listenerCount('error') > 0) {
+            events.emit('error', error);
+          }
+          throw error;
+        })
+        .finally(() => {
+          running = null;
+        });
+    }
+    return running;
+  };
+  
+  return events;
+}
+
+module.exports = {
+  createDownloader
+};
@@ -0,0 +1,61 @@
+// Errors thrown by the library. Callers can tell them apart with instanceof or by their code
+// instead of parsing messages; the command line maps them to exit codes.
+
+// Base class of every error thrown on purpose by the library
+class ArchiveError extends Error {
+  constructor(message, { code = 'ARCHIVE_ERROR', cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.code = code;
+  }
+}
+
+// Missing credentials or invalid options or config file
+class ConfigError extends ArchiveError {
+  constructor(message, options = {}) {
+    super(message, { code: 'CONFIG_ERROR', ...options });
+  }
+}
+
+// Airtable rejected a request; status and type are the HTTP status and Airtable's error type
+class AirtableError extends ArchiveError {
+  constructor(message, { status = null, type = null, cause } = {}) {
+    super(message, { code: 'AIRTABLE_ERROR', cause });
+    this.status = status;
+    this.type = type;
+  }
+}
+
+// A configured table or field doesn't exist in the base schema
+class SchemaError extends ArchiveError {
+  constructor(message, options = {}) {
+    super(message, { code: 'SCHEMA_ERROR', ...options });
+  }
+}
+
+// An attachment couldn't be downloaded; reported with the image:failed event, doesn't stop the run
+class DownloadError extends ArchiveError {
+  constructor(message, { recordId, attachmentId, status = null, cause } = {}) {
+    super(message, { code: 'DOWNLOAD_ERROR', cause });
+    this.recordId = recordId;
+    this.attachmentId = attachmentId;
+    this.status = status;
+  }
+}
+
+// Another run holds the lock of the archive; holder is the content of its lockfile
+class LockError extends ArchiveError {
+  constructor(message, { holder = null } = {}) {
+    super(message, { code: 'LOCK_ERROR' });
+    this.holder = holder;
+  }
+}
+
+module.exports = {
+  ArchiveError,
+  ConfigError,
+  AirtableError,
+  SchemaError,
+  DownloadError,
+  LockError
+};
@@ -0,0 +1,114 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { writeLines } = require('./write-lines');
+
+// Directory the CSV files are written to, inside the output directory
+const CSV_DIR = 'csv';
+
+// Separator of multiple values (photographers, image paths, ...) within one cell
+const LIST_SEPARATOR = '; ';
+
+// How a record key is flattened into columns
+const KINDS = {
+  VALUE: 'value',             // Plain value, objects as JSON
+  LIST: 'list',               // List of plain values or record IDs
+  LINKS: 'links',             // Expanded linked records: names and IDs
+  LINK: 'link',               // Single expanded linked record: name and ID
+  ATTACHMENTS: 'attachments'  // Downloaded attachments: local paths
+};
+
+const isRecord = (value) => value !== null && typeof value === 'object' && !Array.isArray(value) && 'id' in value;
+
+function kindOf(value) {
+  if (Array.isArray(value)) {
+    if (value.every(item => isRecord(item) && item.path)) return KINDS.ATTACHMENTS;
+    if (value.every(isRecord)) return KINDS.LINKS;
+    return KINDS.LIST;
+  }
+  return isRecord(value) ? KINDS.LINK : KINDS.VALUE;
+}
+
+// Name shown for a linked record: its name, or the first text field (the primary field of
+// records from other tables), or its ID
+function displayName(record) {
+  if (record.name !== undefined && record.name !== null) return String(record.name);
+  const text = Object.entries(record).find(([key, value]) => key !== 'id' && typeof value === 'string');
+  return text ? text[1] : record.id;
+}
+
+function cellValue(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+// Columns of a table: every key in first-seen order, expanded by the kind of its first non-empty value
+function tableColumns(records) {
+  const kinds = new Map();
+  for (const record of records) {
+    for (const [key, value] of Object.entries(record)) {
+      const empty = value === null || value === undefined || (Array.isArray(value) && value.length === 0);
+      if (!kinds.has(key) || (kinds.get(key) === null && !empty)) {
+        kinds.set(key, empty ? null : kindOf(value));
+      }
+    }
+  }
+  
+  const columns = [];
+  for (const [key, kind] of kinds) {
+    switch (kind) {
+      case KINDS.LINKS:
+        columns.push({ header: key, value: record => (record[key] || []).map(displayName).join(LIST_SEPARATOR) });
+        columns.push({ header: `${key}_ids`, value: record => (record[key] || []).map(item => item.id).join(LIST_SEPARATOR) });
+        break;
+      case KINDS.LINK:
+        columns.push({ header: key, value: record => (record[key] ? displayName(record[key]) : '') });
+        columns.push({ header: `${key}_id`, value: record => (record[key] ? record[key].id : '') });
+        break;
+      case KINDS.ATTACHMENTS:
+        columns.push({ header: key, value: record => (record[key] || []).map(image => image.path).join(LIST_SEPARATOR) });
+        break;
+      case KINDS.LIST:
+        columns.push({ header: key, value: record => (record[key] || []).map(cellValue).join(LIST_SEPARATOR) });
+        break;
+      default:
+        columns.push({ header: key, value: record => cellValue(record[key]) });
+    }
+  }
+  return columns;
+}
+
+// Quote a cell if it contains a delimiter, quote or line break (RFC 4180)
+function escapeCell(value) {
+  return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+function* csvLines(records) {
+  const columns = tableColumns(records);
+  yield columns.map(column => escapeCell(column.header)).join(',');
+  for (const record of records) {
+    yield columns.map(column => escapeCell(column.value(record))).join(',');
+  }
+}
+
+// Write one <table>.csv file per table
+async function write(data, outputDir) {
+  const dir = path.join(outputDir, CSV_DIR);
+  await fs.ensureDir(dir);
+  
+  const files = [];
+  for (const [tableName, records] of Object.entries(data)) {
+    const filePath = path.join(dir, `${tableName}.csv`);
+    await writeLines(filePath, csvLines(records));
+    files.push(filePath);
+  }
+  
+  return { files };
+}
+
+module.exports = {
+  name: 'csv',
+  description: `one ${CSV_DIR}/<table>.csv per table, linked records and image paths joined with "${LIST_SEPARATOR}"`,
+  displayName,
+  write
+};
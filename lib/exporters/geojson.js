@@ -0,0 +1,78 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { TABLES } = require('../config');
+const { isAttachmentList } = require('../attachments');
+const { linkIds } = require('../schema');
+
+// GeoJSON file with the photos that have GPS coordinates in their metadata
+const GEOJSON_FILE = 'photos.geojson';
+
+// Group the photos with GPS coordinates by the mattress location. Each location becomes one
+// feature with a MultiPoint of its photos; photos of mattresses without a location are grouped
+// under a feature with a null ID.
+function buildGeoJson(data) {
+  const locationNames = new Map(data[TABLES.LOCATION].map(location => [location.id, location.name]));
+  const groups = new Map();
+  
+  for (const mattress of data[TABLES.MATTRESSES]) {
+    const [locationId = null] = linkIds(mattress.location);
+    const photos = Object.values(mattress).filter(isAttachmentList).flat()
+      .filter(image => image.metadata && image.metadata.gps);
+    
+    for (const image of photos) {
+      if (!groups.has(locationId)) {
+        groups.set(locationId, []);
+      }
+      groups.get(locationId).push({
+        mattressId: mattress.id,
+        date: mattress.date || null,
+        attachmentId: image.id,
+        path: image.path,
+        capturedAt: image.metadata.capturedAt,
+        dateMismatch: image.metadata.dateMismatch,
+        latitude: image.metadata.gps.latitude,
+        longitude: image.metadata.gps.longitude
+      });
+    }
+  }
+  
+  const features = [...groups].map(([locationId, photos]) => ({
+    type: 'Feature',
+    id: locationId,
+    geometry: {
+      type: 'MultiPoint',
+      coordinates: photos.map(photo => [photo.longitude, photo.latitude])
+    },
+    properties: {
+      locationId,
+      locationName: locationId ? (locationNames.get(locationId) || null) : null,
+      photoCount: photos.length,
+      photos
+    }
+  }));
+  features.sort((a, b) => String(a.properties.locationName).localeCompare(String(b.properties.locationName)));
+  
+  return { type: 'FeatureCollection', features };
+}
+
+async function write(data, outputDir) {
+  const filePath = path.join(outputDir, GEOJSON_FILE);
+  const collection = buildGeoJson(data);
+  await fs.writeJson(filePath, collection, { spaces: 2 });
+  
+  return {
+    files: [filePath],
+    counts: {
+      locations: collection.features.length,
+      photos: collection.features.reduce((total, feature) => total + feature.properties.photoCount, 0)
+    }
+  };
+}
+
+module.exports = {
+  name: 'geojson',
+  description: `photos with GPS coordinates grouped by location in ${GEOJSON_FILE}`,
+  GEOJSON_FILE,
+  buildGeoJson,
+  write
+};
@@ -0,0 +1,35 @@
+const { ConfigError } = require('../errors');
+const json = require('./json');
+const ndjson = require('./ndjson');
+const csv = require('./csv');
+const sqlite = require('./sqlite');
+const geojson = require('./geojson');
+
+// Output formats by name. An exporter has a name, a description and
+// write(data, outputDir) resolving with { files } (and optionally row counts);
+// data maps each table name to its exported records. Exporters with streams set also take
+// async iterables of records instead of arrays (see streamTables() in lib/archive.js).
+const EXPORTERS = Object.fromEntries([json, ndjson, csv, sqlite, geojson].map(exporter => [exporter.name, exporter]));
+
+// Parse a comma-separated list of format names like "json,csv"
+function parseFormats(value) {
+  const formats = value.split(',').map(format => format.trim()).filter(Boolean);
+  const unknown = formats.filter(format => !EXPORTERS[format]);
+  
+  if (formats.length === 0 || unknown.length > 0) {
+    throw new ConfigError(`Unknown format "${unknown.join(', ') || value}". Expected a comma-separated list of: ${Object.keys(EXPORTERS).join(', ')}`);
+  }
+  
+  return [...new Set(formats)];
+}
+
+// Write the archive's tables in one format
+function writeFormat(format, data, outputDir) {
+  return EXPORTERS[format].write(data, outputDir);
+}
+
+module.exports = {
+  EXPORTERS,
+  parseFormats,
+  writeFormat
+};
@@ -0,0 +1,19 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// Combined data file with every table, as written by earlier versions
+const COMBINED_FILE = 'mattresses-data.json';
+
+// Write all tables into one pretty-printed JSON file
+async function write(data, outputDir) {
+  const filePath = path.join(outputDir, COMBINED_FILE);
+  await fs.writeJson(filePath, data, { spaces: 2 });
+  return { files: [filePath] };
+}
+
+module.exports = {
+  name: 'json',
+  description: `all tables in one ${COMBINED_FILE}`,
+  COMBINED_FILE,
+  write
+};
@@ -0,0 +1,36 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { writeLines } = require('./write-lines');
+
+// Directory the NDJSON files are written to, inside the output directory
+const NDJSON_DIR = 'ndjson';
+
+async function* recordLines(records) {
+  for await (const record of records) {
+    yield JSON.stringify(record);
+  }
+}
+
+// Write one <table>.ndjson file per table with one record per line. The records of a table can be
+// an array or an async iterable like those of streamTables() in lib/archive.js; they're written
+// as they come, so the tables never have to be in memory together.
+async function write(data, outputDir) {
+  const dir = path.join(outputDir, NDJSON_DIR);
+  await fs.ensureDir(dir);
+  
+  const files = [];
+  for (const [tableName, records] of Object.entries(data)) {
+    const filePath = path.join(dir, `${tableName}.ndjson`);
+    await writeLines(filePath, recordLines(records));
+    files.push(filePath);
+  }
+  
+  return { files };
+}
+
+module.exports = {
+  name: 'ndjson',
+  description: `one record per line in ${NDJSON_DIR}/<table>.ndjson`,
+  streams: true,
+  write
+};
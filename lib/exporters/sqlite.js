@@ -0,0 +1,154 @@
+const fs = require('fs-extra');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { TABLES } = require('../config');
+const { isAttachmentList } = require('../attachments');
+
+// Database file, written next to mattresses-data.json so image_path resolves relative to it
+const DATABASE_FILE = 'mattresses.sqlite';
+
+const SCHEMA = `
+  CREATE TABLE photographers (
+    id TEXT PRIMARY KEY,
+    name TEXT,
+    fields TEXT NOT NULL
+  );
+
+  CREATE TABLE locations (
+    id TEXT PRIMARY KEY,
+    name TEXT,
+    fields TEXT NOT NULL
+  );
+
+  CREATE TABLE mattresses (
+    id TEXT PRIMARY KEY,
+    date TEXT,
+    location_id TEXT REFERENCES locations (id),
+    fields TEXT NOT NULL
+  );
+
+  CREATE TABLE mattress_photographers (
+    mattress_id TEXT NOT NULL REFERENCES mattresses (id) ON DELETE CASCADE,
+    photographer_id TEXT NOT NULL REFERENCES photographers (id),
+    position INTEGER NOT NULL,
+    PRIMARY KEY (mattress_id, photographer_id)
+  );
+
+  CREATE TABLE images (
+    id TEXT PRIMARY KEY,
+    mattress_id TEXT NOT NULL REFERENCES mattresses (id) ON DELETE CASCADE,
+    field TEXT NOT NULL,
+    position INTEGER NOT NULL,
+    filename TEXT NOT NULL,
+    original_filename TEXT,
+    image_path TEXT NOT NULL,
+    type TEXT,
+    size INTEGER,
+    sha256 TEXT
+  );
+
+  CREATE INDEX mattresses_date ON mattresses (date);
+  CREATE INDEX mattresses_location ON mattresses (location_id);
+  CREATE INDEX mattresses_location_date ON mattresses (location_id, date);
+  CREATE INDEX mattress_photographers_photographer ON mattress_photographers (photographer_id);
+  CREATE INDEX images_mattress ON images (mattress_id);
+`;
+
+// Keys of the downloaded attachment fields of a table, which go into the images table
+function attachmentKeys(records) {
+  const keys = new Set();
+  for (const record of records) {
+    Object.entries(record).filter(([, value]) => isAttachmentList(value)).forEach(([key]) => keys.add(key));
+  }
+  return [...keys];
+}
+
+// Fields without a column of their own, stored as JSON (query them with json_extract)
+function remainingFields(record, columnKeys) {
+  return JSON.stringify(Object.fromEntries(Object.entries(record).filter(([key]) => !columnKeys.includes(key))));
+}
+
+// Build the SQLite database from the archive's tables. Linked photographers and locations that
+// aren't in their table (e.g. outside the view) are added from the details embedded in the mattress,
+// so every foreign key resolves. Returns the database path and the row count per table.
+function exportSqlite(data, outputDir) {
+  const databasePath = path.join(outputDir, DATABASE_FILE);
+  const tempPath = `${databasePath}.part`;
+  fs.removeSync(tempPath);
+  
+  const db = new Database(tempPath);
+  const counts = { photographers: 0, locations: 0, mattresses: 0, mattress_photographers: 0, images: 0 };
+  
+  try {
+    db.pragma('foreign_keys = ON');
+    db.exec(SCHEMA);
+    
+    const insertPhotographer = db.prepare('INSERT OR IGNORE INTO photographers (id, name, fields) VALUES (?, ?, ?)');
+    const insertLocation = db.prepare('INSERT OR IGNORE INTO locations (id, name, fields) VALUES (?, ?, ?)');
+    const insertMattress = db.prepare('INSERT INTO mattresses (id, date, location_id, fields) VALUES (?, ?, ?, ?)');
+    const insertLink = db.prepare('INSERT OR IGNORE INTO mattress_photographers (mattress_id, photographer_id, position) VALUES (?, ?, ?)');
+    const insertImage = db.prepare(`
+      INSERT INTO images (id, mattress_id, field, position, filename, original_filename, image_path, type, size, sha256)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    
+    const insertNamed = (statement, record) => {
+      statement.run(record.id, record.name === undefined ? null : record.name, remainingFields(record, ['id', 'name']));
+    };
+    
+    const mattresses = data[TABLES.MATTRESSES] || [];
+    const imageKeys = attachmentKeys(mattresses);
+    
+    db.transaction(() => {
+      (data[TABLES.PHOTOGRAPHER] || []).forEach(record => insertNamed(insertPhotographer, record));
+      (data[TABLES.LOCATION] || []).forEach(record => insertNamed(insertLocation, record));
+      
+      for (const mattress of mattresses) {
+        const photographers = mattress.photographers || [];
+        photographers.forEach(photographer => insertNamed(insertPhotographer, photographer));
+        if (mattress.location) {
+          insertNamed(insertLocation, mattress.location);
+        }
+        
+        insertMattress.run(
+          mattress.id,
+          mattress.date || null,
+          mattress.location ? mattress.location.id : null,
+          remainingFields(mattress, ['id', 'date', 'photographers', 'location', ...imageKeys])
+        );
+        
+        photographers.forEach((photographer, position) => insertLink.run(mattress.id, photographer.id, position));
+        
+        for (const field of imageKeys) {
+          (mattress[field] || []).forEach((image, position) => insertImage.run(
+            image.id, mattress.id, field, position, image.filename, image.originalFilename || null,
+            image.path, image.type || null, image.size === undefined ? null : image.size, image.sha256 || null
+          ));
+        }
+      }
+    })();
+    
+    for (const table of Object.keys(counts)) {
+      counts[table] = db.prepare(`SELECT COUNT(*) AS count FROM ${table}`).get().count;
+    }
+  } finally {
+    db.close();
+  }
+  
+  fs.moveSync(tempPath, databasePath, { overwrite: true });
+  return { path: databasePath, counts };
+}
+
+// Exporter interface, see lib/exporters/index.js
+async function write(data, outputDir) {
+  const result = exportSqlite(data, outputDir);
+  return { files: [result.path], counts: result.counts };
+}
+
+module.exports = {
+  name: 'sqlite',
+  description: `normalized tables in ${DATABASE_FILE}`,
+  DATABASE_FILE,
+  exportSqlite,
+  write
+};
@@ -0,0 +1,30 @@
+const fs = require('fs-extra');
+const { once } = require('events');
+
+// Write lines (an iterable or async iterable) to a file through a stream, waiting for it to drain
+// so large tables never have to be serialised into one string. The file is replaced only once
+// it's complete.
+async function writeLines(filePath, lines) {
+  const tempPath = `${filePath}.part`;
+  const stream = fs.createWriteStream(tempPath);
+  
+  try {
+    for await (const line of lines) {
+      if (!stream.write(`${line}\n`)) {
+        await once(stream, 'drain');
+      }
+    }
+    stream.end();
+    await once(stream, 'finish');
+  } catch (error) {
+    stream.destroy();
+    await fs.remove(tempPath);
+    throw error;
+  }
+  
+  await fs.move(tempPath, filePath, { overwrite: true });
+}
+
+module.exports = {
+  writeLines
+};
@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+const { ConfigError } = require('./errors');
+
+// Keys of a download filter; it selects the mattresses that are downloaded.
+// Photographers and locations are always downloaded completely.
+const FILTER_KEYS = ['view', 'formula', 'from', 'to', 'photographers', 'locations'];
+
+// First or last day of a date given as YYYY, YYYY-MM or YYYY-MM-DD
+function parseDateBound(value, { end = false } = {}) {
+  const match = /^(\d{4})(?:-(\d{2}))?(?:-(\d{2}))?$/.exec(String(value).trim());
+  if (!match) {
+    throw new ConfigError(`Invalid date "${value}". Expected YYYY, YYYY-MM or YYYY-MM-DD`);
+  }
+  
+  const [, year, month, day] = match;
+  if (day) {
+    return `${year}-${month}-${day}`;
+  }
+  if (month) {
+    const lastDay = new Date(Date.UTC(Number(year), Number(month), 0)).getUTCDate();
+    return `${year}-${month}-${end ? String(lastDay).padStart(2, '0') : '01'}`;
+  }
+  return end ? `${year}-12-31` : `${year}-01-01`;
+}
+
+// Check a filter from the config file or command line and fill in the date bounds
+function normalizeFilter(filter = {}) {
+  const unknown = Object.keys(filter).filter(key => !FILTER_KEYS.includes(key));
+  if (unknown.length > 0) {
+    throw new ConfigError(`Unknown filter option "${unknown.join(', ')}". Expected one of: ${FILTER_KEYS.join(', ')}`);
+  }
+  for (const list of ['photographers', 'locations']) {
+    if (filter[list] !== undefined && !Array.isArray(filter[list])) {
+      throw new ConfigError(`filter.${list} must be a list of names`);
+    }
+  }
+  
+  const normalized = {
+    view: filter.view || null,
+    formula: filter.formula || null,
+    from: filter.from ? parseDateBound(filter.from) : null,
+    to: filter.to ? parseDateBound(filter.to, { end: true }) : null,
+    photographers: (filter.photographers || []).map(name => String(name).trim()).filter(Boolean),
+    locations: (filter.locations || []).map(name => String(name).trim()).filter(Boolean)
+  };
+  
+  if (normalized.from && normalized.to && normalized.from > normalized.to) {
+    throw new ConfigError(`The filter's start date ${normalized.from} is after its end date ${normalized.to}`);
+  }
+  return normalized;
+}
+
+function isEmptyFilter(filter) {
+  return !filter || (!filter.view && !filter.formula && !filter.from && !filter.to &&
+    filter.photographers.length === 0 && filter.locations.length === 0);
+}
+
+// Short description of a filter for log output
+function describeFilter(filter) {
+  const parts = [];
+  if (filter.view) parts.push(`view "${filter.view}"`);
+  if (filter.from || filter.to) parts.push(`dates ${filter.from || '...'} to ${filter.to || '...'}`);
+  if (filter.photographers.length) parts.push(`photographer ${filter.photographers.join(' or ')}`);
+  if (filter.locations.length) parts.push(`location ${filter.locations.join(' or ')}`);
+  if (filter.formula) parts.push(`formula ${filter.formula}`);
+  return parts.join(', ');
+}
+
+// String literal for an Airtable formula
+function formulaString(value) {
+  return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+// Field reference for an Airtable formula
+function formulaField(name) {
+  return `{${name}}`;
+}
+
+// AND of the given formulas, skipping empty ones; null if there are none
+function combineFormulas(...formulas) {
+  const parts = formulas.filter(Boolean);
+  if (parts.length <= 1) {
+    return parts[0] || null;
+  }
+  return `AND(${parts.join(', ')})`;
+}
+
+// Formula matching records of a table whose name field is one of the names (ignoring case)
+function namesFormula(nameField, names) {
+  const matches = names.map(name => `LOWER(TRIM(${formulaField(nameField)})) = LOWER(${formulaString(name)})`);
+  return matches.length === 1 ? matches[0] : `OR(${matches.join(', ')})`;
+}
+
+// Formula matching records linked to one of the given records. Linked record fields read as
+// the primary field values of the linked records in formulas, so the match is on those.
+function linkedFormula(linkField, primaryValues) {
+  const joined = `'|' & ARRAYJOIN(${formulaField(linkField)}, '|') & '|'`;
+  const matches = primaryValues.map(value => `FIND(${formulaString(`|${value}|`)}, ${joined})`);
+  return matches.length === 1 ? matches[0] : `OR(${matches.join(', ')})`;
+}
+
+// Formula for the date range of a filter
+function dateFormula(dateField, { from, to }) {
+  const field = formulaField(dateField);
+  return combineFormulas(
+    (from || to) ? field : null,
+    from ? `NOT(IS_BEFORE(${field}, ${formulaString(from)}))` : null,
+    to ? `NOT(IS_AFTER(${field}, ${formulaString(to)}))` : null
+  );
+}
+
+// Short stable ID of a resolved filter, used to keep checkpoints of different filters apart
+function filterId(view, formula) {
+  return crypto.createHash('sha1').update(JSON.stringify([view, formula])).digest('hex').slice(0, 8);
+}
+
+module.exports = {
+  FILTER_KEYS,
+  parseDateBound,
+  normalizeFilter,
+  isEmptyFilter,
+  describeFilter,
+  combineFormulas,
+  namesFormula,
+  linkedFormula,
+  dateFormula,
+  filterId
+};
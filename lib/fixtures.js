@@ -0,0 +1,87 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { ConfigError } = require('./errors');
+
+// Recorded Airtable and attachment traffic, written by download --record and served by the
+// mock server (lib/mock-server.js). A fixture directory holds:
+//   fixture.json      the base ID and time of the recording
+//   requests.ndjson   one Airtable API response per line: { path, params, status, data }
+//   attachments/<id>  the downloaded attachment files, by attachment ID
+const FIXTURE_FILE = 'fixture.json';
+const REQUESTS_FILE = 'requests.ndjson';
+const ATTACHMENTS_DIR = 'attachments';
+
+// Key that matches a recorded request to a replayed one: the decoded path and the query
+// parameters sorted by name. Array parameters (fields[]) keep their order.
+function requestKey(requestPath, params = {}) {
+  const entries = Object.entries(params)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([name, value]) => [name.replace(/\[\]$/, ''), [].concat(value).map(String)])
+    .sort(([a], [b]) => a.localeCompare(b));
+  return JSON.stringify([decodeURIComponent(requestPath), entries]);
+}
+
+// Record Airtable responses and attachments into a fixture directory. Responses are appended,
+// so a resumed or second run adds to the recording of the first one.
+function createRecorder(dir, { baseId }) {
+  fs.ensureDirSync(path.join(dir, ATTACHMENTS_DIR));
+  fs.writeJsonSync(path.join(dir, FIXTURE_FILE), { baseId, recordedAt: new Date().toISOString() }, { spaces: 2 });
+  
+  return {
+    dir,
+    
+    // An Airtable API response, including error responses the client gave up on
+    response({ path: requestPath, params }, { status, data }) {
+      const entry = { path: requestPath, params, status, data };
+      fs.appendFileSync(path.join(dir, REQUESTS_FILE), `${JSON.stringify(entry)}\n`);
+    },
+    
+    // A downloaded attachment file
+    attachment(attachmentId, filePath) {
+      fs.copySync(filePath, path.join(dir, ATTACHMENTS_DIR, attachmentId));
+    }
+  };
+}
+
+// Read a fixture directory. Responses are grouped by request key in the order they were recorded.
+function loadFixtures(dir) {
+  const fixturePath = path.join(dir, FIXTURE_FILE);
+  if (!fs.existsSync(fixturePath)) {
+    throw new ConfigError(`No recording found in ${dir}. Record one with download --record ${dir}`);
+  }
+  
+  const { baseId, recordedAt } = fs.readJsonSync(fixturePath);
+  const requestsPath = path.join(dir, REQUESTS_FILE);
+  const lines = fs.existsSync(requestsPath) ? fs.readFileSync(requestsPath, 'utf8').split('\n').filter(Boolean) : [];
+  
+  const responses = new Map();
+  for (const line of lines) {
+    const entry = JSON.parse(line);
+    const key = requestKey(entry.path, entry.params);
+    if (!responses.has(key)) {
+      responses.set(key, []);
+    }
+    responses.get(key).push(entry);
+  }
+  
+  return {
+    baseId,
+    recordedAt,
+    responses,
+    
+    // Path of a recorded attachment file, or null if it wasn't recorded
+    attachmentPath(attachmentId) {
+      const filePath = path.join(dir, ATTACHMENTS_DIR, path.basename(attachmentId));
+      return fs.existsSync(filePath) ? filePath : null;
+    }
+  };
+}
+
+module.exports = {
+  FIXTURE_FILE,
+  REQUESTS_FILE,
+  ATTACHMENTS_DIR,
+  requestKey,
+  createRecorder,
+  loadFixtures
+};
@@ -0,0 +1,192 @@
+// Evaluator for the part of Airtable's formula language the downloader sends in filterByFormula:
+// field references, string and number literals, & and comparisons, and the functions below. The
+// mock server (lib/mock-server.js) uses it to answer filtered list requests from a recording.
+
+// Airtable's truthiness: 0, empty strings, empty lists, null and false don't match
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+// Time of a date or date-time value in milliseconds; dates without a time are midnight UTC.
+// Empty values are NaN, so comparisons with them don't match.
+function toTime(value) {
+  if (value === null || value === undefined || value === '') {
+    return NaN;
+  }
+  const time = Date.parse(String(value));
+  if (Number.isNaN(time)) {
+    throw new Error(`Invalid date "${value}"`);
+  }
+  return time;
+}
+
+function toText(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  return Array.isArray(value) ? value.join(', ') : String(value);
+}
+
+// Functions by name; each gets its evaluated arguments and the record context
+const FUNCTIONS = {
+  AND: args => args.every(isTruthy),
+  OR: args => args.some(isTruthy),
+  NOT: ([value]) => !isTruthy(value),
+  TRUE: () => true,
+  FALSE: () => false,
+  IS_AFTER: ([a, b]) => toTime(a) > toTime(b),
+  IS_BEFORE: ([a, b]) => toTime(a) < toTime(b),
+  LAST_MODIFIED_TIME: (args, context) => context.lastModifiedTime(),
+  LOWER: ([value]) => toText(value).toLowerCase(),
+  TRIM: ([value]) => toText(value).trim(),
+  // 1-based position of the first occurrence, 0 if there is none
+  FIND: ([needle, haystack]) => toText(haystack).indexOf(toText(needle)) + 1,
+  ARRAYJOIN: ([values, separator = ', ']) => [].concat(values === null || values === undefined ? [] : values).join(separator)
+};
+
+const COMPARISONS = {
+  '=': (a, b) => toText(a) === toText(b),
+  '!=': (a, b) => toText(a) !== toText(b),
+  '<': (a, b) => a < b,
+  '>': (a, b) => a > b,
+  '<=': (a, b) => a <= b,
+  '>=': (a, b) => a >= b
+};
+
+// Split a formula into tokens: { type: 'string' | 'number' | 'field' | 'name' | 'symbol', value }
+function tokenize(formula) {
+  const tokens = [];
+  let index = 0;
+  
+  while (index < formula.length) {
+    const char = formula[index];
+    if (/\s/.test(char)) {
+      index++;
+    } else if (char === '\'' || char === '"') {
+      let value = '';
+      index++;
+      while (index < formula.length && formula[index] !== char) {
+        value += formula[index] === '\\' ? formula[++index] : formula[index];
+        index++;
+      }
+      if (index >= formula.length) {
+        throw new Error('Unterminated string');
+      }
+      index++;
+      tokens.push({ type: 'string', value });
+    } else if (char === '{') {
+      const end = formula.indexOf('}', index);
+      if (end < 0) {
+        throw new Error('Unterminated field reference');
+      }
+      tokens.push({ type: 'field', value: formula.slice(index + 1, end) });
+      index = end + 1;
+    } else if (/\d/.test(char)) {
+      const [number] = /^\d+(\.\d+)?/.exec(formula.slice(index));
+      tokens.push({ type: 'number', value: Number(number) });
+      index += number.length;
+    } else if (/[A-Za-z_]/.test(char)) {
+      const [name] = /^\w+/.exec(formula.slice(index));
+      tokens.push({ type: 'name', value: name.toUpperCase() });
+      index += name.length;
+    } else {
+      const [symbol] = /^(!=|<=|>=|[=<>&(),])/.exec(formula.slice(index)) || [];
+      if (!symbol) {
+        throw new Error(`Unexpected "${char}"`);
+      }
+      tokens.push({ type: 'symbol', value: symbol });
+      index += symbol.length;
+    }
+  }
+  
+  return tokens;
+}
+
+// Parse a formula into a function of the record context, throwing an Error if it isn't valid or
+// uses a function that isn't supported
+function parseFormula(formula) {
+  const tokens = tokenize(formula);
+  let position = 0;
+  
+  const peek = () => tokens[position];
+  const isSymbol = (value) => peek() && peek().type === 'symbol' && peek().value === value;
+  const expect = (value) => {
+    if (!isSymbol(value)) {
+      throw new Error(`Expected "${value}" in formula ${formula}`);
+    }
+    position++;
+  };
+  
+  const parsePrimary = () => {
+    const token = tokens[position++];
+    if (!token) {
+      throw new Error(`Unexpected end of formula ${formula}`);
+    }
+    if (token.type === 'string' || token.type === 'number') {
+      return () => token.value;
+    }
+    if (token.type === 'field') {
+      return context => context.field(token.value);
+    }
+    if (token.type === 'symbol' && token.value === '(') {
+      const inner = parseComparison();
+      expect(')');
+      return inner;
+    }
+    if (token.type === 'name') {
+      const fn = FUNCTIONS[token.value];
+      if (!fn) {
+        throw new Error(`Unsupported function ${token.value}() in formula ${formula}`);
+      }
+      const args = [];
+      expect('(');
+      while (!isSymbol(')')) {
+        args.push(parseComparison());
+        if (!isSymbol(')')) {
+          expect(',');
+        }
+      }
+      expect(')');
+      return context => fn(args.map(arg => arg(context)), context);
+    }
+    throw new Error(`Unexpected "${token.value}" in formula ${formula}`);
+  };
+  
+  const parseConcat = () => {
+    const parts = [parsePrimary()];
+    while (isSymbol('&')) {
+      position++;
+      parts.push(parsePrimary());
+    }
+    return parts.length === 1 ? parts[0] : context => parts.map(part => toText(part(context))).join('');
+  };
+  
+  const parseComparison = () => {
+    const left = parseConcat();
+    const operator = peek() && peek().type === 'symbol' && COMPARISONS[peek().value];
+    if (!operator) {
+      return left;
+    }
+    position++;
+    const right = parseConcat();
+    return context => operator(left(context), right(context));
+  };
+  
+  const evaluate = parseComparison();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected "${tokens[position].value}" in formula ${formula}`);
+  }
+  return evaluate;
+}
+
+// Turn a filterByFormula into a function telling whether a record matches it. The function takes
+// the record context: field(name), the value of a field as formulas read it, and
+// lastModifiedTime(), the record's last modification as an ISO timestamp.
+function createFormulaFilter(formula) {
+  const evaluate = parseFormula(formula);
+  return context => isTruthy(evaluate(context));
+}
+
+module.exports = {
+  createFormulaFilter
+};
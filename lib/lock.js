@@ -0,0 +1,89 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { LockError } = require('./errors');
+
+// Lockfile in the output directory, held while a run writes the archive so two runs (a scheduled
+// one and one started by hand, say) never write the same table files at the same time
+const LOCK_FILE = 'archive.lock';
+
+// Whether a process on this machine is still running
+function isRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM means the process exists but belongs to another user
+    return error.code === 'EPERM';
+  }
+}
+
+// Holder of the archive lock, or null if the archive isn't locked
+function readLock(outputDir) {
+  try {
+    return fs.readJsonSync(path.join(outputDir, LOCK_FILE));
+  } catch (error) {
+    return null;
+  }
+}
+
+// Take the lock of an archive and return a function that releases it. A lock left behind by a
+// process on this machine that is no longer running is taken over; any other lock is a LockError.
+// The lock is also released when the process exits.
+function acquireLock(outputDir, { command = 'download' } = {}) {
+  const lockPath = path.join(outputDir, LOCK_FILE);
+  const holder = { pid: process.pid, hostname: os.hostname(), command, lockedAt: new Date().toISOString() };
+  fs.ensureDirSync(outputDir);
+  
+  for (let attempt = 0; ; attempt++) {
+    try {
+      // "wx" fails if the file exists, so only one process can create it
+      fs.writeFileSync(lockPath, JSON.stringify(holder, null, 2), { flag: 'wx' });
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+      
+      const current = readLock(outputDir);
+      const stale = current && current.hostname === holder.hostname && !isRunning(current.pid);
+      if (!stale || attempt > 0) {
+        const description = current
+          ? `process ${current.pid} on ${current.hostname} (${current.command}, since ${current.lockedAt})`
+          : 'another process';
+        throw new LockError(`The archive in ${outputDir} is locked by ${description}. Remove ${lockPath} if that process is gone.`, { holder: current });
+      }
+      fs.removeSync(lockPath);
+    }
+  }
+  
+  const releaseOnExit = () => release();
+  function release() {
+    process.removeListener('exit', releaseOnExit);
+    // Only remove the lock if it's still ours
+    const current = readLock(outputDir);
+    if (current && current.pid === holder.pid && current.lockedAt === holder.lockedAt) {
+      fs.removeSync(lockPath);
+    }
+  }
+  process.on('exit', releaseOnExit);
+  
+  return release;
+}
+
+// Run fn while holding the archive lock
+async function withLock(outputDir, command, fn) {
+  const release = acquireLock(outputDir, { command });
+  try {
+    return await fn();
+  } finally {
+    release();
+  }
+}
+
+module.exports = {
+  LOCK_FILE,
+  readLock,
+  acquireLock,
+  withLock
+};
@@ -0,0 +1,12 @@
+const ora = require('ora');
+
+// Helper function for consistent logging
+const log = {
+  info: (message) => console.log(`ℹ️  ${message}`),
+  success: (message) => console.log(`✅ ${message}`),
+  warning: (message) => console.log(`⚠️  ${message}`),
+  error: (message) => console.error(`❌ ${message}`),
+  spinner: (message) => ora(message)
+};
+
+module.exports = log;
@@ -0,0 +1,138 @@
+const path = require('path');
+const exifr = require('exifr');
+const { imageSize } = require('image-size');
+const { isAttachmentList } = require('./attachments');
+const { createPool } = require('./rate-limit');
+
+// EXIF, GPS and IPTC blocks read from the images. Values stay raw so capture times keep the
+// camera's local time instead of being converted to the time zone of the machine.
+const EXIF_OPTIONS = {
+  tiff: true,
+  exif: true,
+  gps: true,
+  iptc: true,
+  ifd1: false,
+  xmp: false,
+  icc: false,
+  jfif: false,
+  ihdr: false,
+  translateValues: false,
+  reviveValues: false
+};
+
+// IPTC fields kept in the metadata, by the key they're stored under
+const IPTC_FIELDS = {
+  headline: 'Headline',
+  caption: 'Caption',
+  keywords: 'Keywords',
+  creator: 'Byline',
+  copyright: 'CopyrightNotice',
+  city: 'City',
+  country: 'Country'
+};
+
+// Turn an EXIF date ("2023:02:11 14:22:01") and optional offset into an ISO 8601 string
+function exifDate(value, offset) {
+  const match = /^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/.exec(typeof value === 'string' ? value : '');
+  if (!match || match[1] === '0000') {
+    return null;
+  }
+  
+  const [, year, month, day, hours, minutes, seconds] = match;
+  return `${year}-${month}-${day}T${hours}:${minutes}:${seconds}${typeof offset === 'string' ? offset : ''}`;
+}
+
+// Keep only the set values of an object, or null if none are
+function compact(values) {
+  const set = Object.entries(values).filter(([, value]) => value !== undefined && value !== null && value !== '');
+  return set.length > 0 ? Object.fromEntries(set) : null;
+}
+
+// Read the capture time, camera, pixel size, orientation, GPS position and IPTC fields of an image
+async function readImageMetadata(filePath) {
+  const tags = (await exifr.parse(filePath, EXIF_OPTIONS)) || {};
+  
+  let size = {};
+  try {
+    size = imageSize(filePath);
+  } catch (error) {
+    // Dimensions are optional, e.g. for types image-size doesn't know
+  }
+  
+  const altitude = typeof tags.GPSAltitude === 'number' ? (tags.GPSAltitudeRef === 1 ? -tags.GPSAltitude : tags.GPSAltitude) : null;
+  const hasPosition = typeof tags.latitude === 'number' && typeof tags.longitude === 'number';
+  
+  return {
+    capturedAt: exifDate(tags.DateTimeOriginal, tags.OffsetTimeOriginal) || exifDate(tags.CreateDate, tags.OffsetTimeDigitized),
+    camera: compact({ make: tags.Make, model: tags.Model, lens: tags.LensModel }),
+    width: size.width || tags.ExifImageWidth || null,
+    height: size.height || tags.ExifImageHeight || null,
+    orientation: tags.Orientation || size.orientation || null,
+    gps: hasPosition ? compact({ latitude: tags.latitude, longitude: tags.longitude, altitude }) : null,
+    iptc: compact(Object.fromEntries(Object.entries(IPTC_FIELDS).map(([key, tag]) => [key, tags[tag]])))
+  };
+}
+
+// Whether a photo's capture day differs from the mattress date; null if either is missing.
+// Both are compared as calendar days in their own local time.
+function isDateMismatch(recordDate, capturedAt) {
+  if (!recordDate || !capturedAt) {
+    return null;
+  }
+  return String(recordDate).slice(0, 10) !== capturedAt.slice(0, 10);
+}
+
+// Read the metadata of the downloaded images of the mattresses and store it on their attachment
+// entries as `metadata`. Entries that already have metadata keep it unless force is set, except
+// for failed reads ({ error }), which are tried again; the date mismatch flag is updated on every
+// entry since the mattress date may have changed.
+// Resolves with the counts and the list of date mismatches.
+async function addImageMetadata(outputDir, mattresses, { concurrency = 4, force = false, onProgress = () => {} } = {}) {
+  const pool = createPool(concurrency);
+  const entries = mattresses.flatMap(record => Object.values(record)
+    .filter(isAttachmentList)
+    .flat()
+    .map(image => ({ record, image })));
+  const pending = entries.filter(({ image }) => image.sha256 && (force || !image.metadata || image.metadata.error) && (image.type || '').startsWith('image/'));
+  const summary = { images: entries.length, extracted: 0, failed: 0, withGps: 0, mismatches: [] };
+  let done = 0;
+  
+  await Promise.all(pending.map(({ image }) => pool.run(async () => {
+    try {
+      image.metadata = await readImageMetadata(path.join(outputDir, image.path));
+      summary.extracted++;
+    } catch (error) {
+      image.metadata = { error: error.message };
+      summary.failed++;
+    }
+    onProgress(++done, pending.length);
+  })));
+  
+  for (const { record, image } of entries) {
+    if (!image.metadata || image.metadata.error) {
+      continue;
+    }
+    
+    image.metadata.dateMismatch = isDateMismatch(record.date, image.metadata.capturedAt);
+    if (image.metadata.gps) {
+      summary.withGps++;
+    }
+    if (image.metadata.dateMismatch) {
+      summary.mismatches.push({
+        recordId: record.id,
+        attachmentId: image.id,
+        path: image.path,
+        date: record.date,
+        capturedAt: image.metadata.capturedAt
+      });
+    }
+  }
+  
+  return summary;
+}
+
+module.exports = {
+  readImageMetadata,
+  isDateMismatch,
+  addImageMetadata
+};
@@ -0,0 +1,58 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { attachmentFilename, sha256File } = require('./attachments');
+
+// Legacy archives named images by their position in the record: 1.jpg, 2.jpg, ...
+const LEGACY_FILENAME = /^\d+\.jpg$/;
+
+// True if any image in the mattress data still uses a position-based filename
+function needsFilenameMigration(mattresses) {
+  return mattresses.some(mattress => (mattress.images || []).some(image => LEGACY_FILENAME.test(image.filename)));
+}
+
+// Rename position-based image files to attachment-ID filenames in place, without re-downloading.
+// Updates the image entries of the given mattresses and returns rename/skip counts.
+async function migrateImageFilenames(mattresses, outputDir) {
+  const result = { renamed: 0, missing: 0, discarded: 0 };
+  
+  for (const mattress of mattresses) {
+    for (const image of mattress.images || []) {
+      if (!LEGACY_FILENAME.test(image.filename)) {
+        continue;
+      }
+      
+      const legacyPath = path.join(outputDir, image.path);
+      const filename = attachmentFilename({ id: image.id, type: image.type, filename: image.originalFilename });
+      const newPath = path.join(path.dirname(legacyPath), filename);
+      
+      if (!fs.existsSync(legacyPath)) {
+        result.missing++;
+      } else if (fs.existsSync(newPath)) {
+        fs.removeSync(legacyPath);
+        result.discarded++;
+      } else {
+        // Only keep files that still match the manifest size (same 1% tolerance the old check used).
+        // Without a recorded size there's nothing to compare, so the file is kept.
+        const { size } = fs.statSync(legacyPath);
+        if (!image.size || Math.abs(size - image.size) / image.size < 0.01) {
+          fs.moveSync(legacyPath, newPath);
+          image.sha256 = await sha256File(newPath);
+          result.renamed++;
+        } else {
+          fs.removeSync(legacyPath);
+          result.discarded++;
+        }
+      }
+      
+      image.filename = filename;
+      image.path = path.relative(outputDir, newPath);
+    }
+  }
+  
+  return result;
+}
+
+module.exports = {
+  needsFilenameMigration,
+  migrateImageFilenames
+};
@@ -0,0 +1,330 @@
+const crypto = require('crypto');
+const http = require('http');
+const fs = require('fs-extra');
+const { loadFixtures, requestKey } = require('./fixtures');
+const { createFormulaFilter } = require('./formula');
+const { ConfigError } = require('./errors');
+
+// Faults the mock server can inject, each with the share of requests it hits (0 to 1)
+const FAULT_TYPES = {
+  '429': 'rate limit responses with Retry-After: 1, for API and attachment requests',
+  '429-attachments': 'rate limit responses with Retry-After: 0, for attachment requests only',
+  '5xx': '503 responses, for API and attachment requests',
+  truncate: 'attachment downloads that stop halfway through',
+  expired: 'attachment URLs from record lists that answer 410 until the record is fetched again'
+};
+
+// Parse a fault list like "429=0.1,5xx=0.05,truncate=0.1,expired=0.2"
+function parseFaults(value) {
+  const faults = {};
+  
+  for (const pair of value.split(',')) {
+    const [type, rate] = pair.split('=').map(part => part && part.trim());
+    const share = Number(rate);
+    if (!FAULT_TYPES[type] || rate === undefined || Number.isNaN(share) || share < 0 || share > 1) {
+      throw new ConfigError(`Invalid fault "${pair}". Expected <type>=<share between 0 and 1> with type one of: ${Object.keys(FAULT_TYPES).join(', ')}`);
+    }
+    faults[type] = share;
+  }
+  
+  return faults;
+}
+
+// Small seeded random number generator (mulberry32), so a run with the same seed
+// injects faults into the same requests as long as they arrive in the same order
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Number between 0 and 1 derived from a string, for decisions that mustn't depend on request order
+function hashShare(value) {
+  return crypto.createHash('sha256').update(value).digest().readUInt32BE(0) / 4294967296;
+}
+
+// Airtable attachments are objects with an id, url and filename
+function isAttachment(value) {
+  return value && typeof value === 'object' && typeof value.id === 'string' && value.url && value.filename;
+}
+
+// Call fn for every attachment object in a response
+function forEachAttachment(data, fn) {
+  if (Array.isArray(data)) {
+    data.forEach(item => forEachAttachment(item, fn));
+  } else if (data && typeof data === 'object') {
+    if (isAttachment(data)) {
+      fn(data);
+    }
+    Object.values(data).forEach(item => forEachAttachment(item, fn));
+  }
+}
+
+// Local stand-in for the Airtable API that serves a recording made with download --record
+// (lib/fixtures.js). Attachment URLs in the responses point to the mock server itself.
+// Repeated requests get the recorded responses in order, then the last one again. Single
+// records and record lists that weren't recorded, like the filtered requests of a second sync,
+// are answered from the recorded record lists: filterByFormula is evaluated (lib/formula.js),
+// fields and maxRecords are applied, views are ignored. Records count as last modified at the
+// time of the recording until updateRecord() changes them.
+//
+// faults (see FAULT_TYPES and parseFaults) inject errors into a share of the requests;
+// onRequest is called with { method, path, status, fault } for every request.
+function createMockServer(dir, { faults = {}, seed = 1, onRequest = () => {} } = {}) {
+  const fixtures = loadFixtures(dir);
+  const random = createRandom(seed);
+  const served = new Map();
+  let origin = null;
+  
+  // Records of every recorded list response, by ID for single-record requests and by table path
+  // for the list requests that weren't recorded, the recorded base schema and attachment types
+  const recordsById = new Map();
+  const recordsByPath = new Map();
+  const attachmentTypes = new Map();
+  let schemaTables = [];
+  for (const entries of fixtures.responses.values()) {
+    for (const entry of entries) {
+      if (entry.status === 200 && entry.data && Array.isArray(entry.data.records)) {
+        const tablePath = decodeURIComponent(entry.path);
+        if (!recordsByPath.has(tablePath)) {
+          recordsByPath.set(tablePath, new Map());
+        }
+        entry.data.records.forEach((record) => {
+          recordsById.set(record.id, record);
+          recordsByPath.get(tablePath).set(record.id, record);
+        });
+      }
+      if (entry.status === 200 && entry.path.startsWith('/meta/') && entry.data && Array.isArray(entry.data.tables)) {
+        schemaTables = entry.data.tables;
+      }
+      forEachAttachment(entry.data, attachment => attachmentTypes.set(attachment.id, attachment.type));
+    }
+  }
+  
+  // Records changed with updateRecord() and removed with deleteRecord() since the server started
+  const modifiedAt = new Map();
+  const deleted = new Set();
+  
+  const hits = (type) => faults[type] > 0 && random() < faults[type];
+  
+  const sendJson = (res, status, data, headers = {}) => {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(data));
+  };
+  
+  // Value of a field as formulas read it: linked records read as their primary field values
+  const formulaValue = (table, record, name) => {
+    const value = record.fields[name];
+    const field = table && table.fields.find(candidate => candidate.name === name);
+    if (!field || field.type !== 'multipleRecordLinks' || !Array.isArray(value)) {
+      return value;
+    }
+    
+    const linkedTable = schemaTables.find(candidate => candidate.id === field.options.linkedTableId);
+    const primaryField = linkedTable && linkedTable.fields.find(candidate => candidate.id === linkedTable.primaryFieldId);
+    return value.map((id) => {
+      const linked = recordsById.get(id);
+      return linked && primaryField && linked.fields[primaryField.name] !== undefined ? linked.fields[primaryField.name] : id;
+    });
+  };
+  
+  // Answer a list request that wasn't recorded from the records of the table, in one page
+  const listResponse = (tablePath, records, params) => {
+    const tableName = tablePath.split('/')[2];
+    const table = schemaTables.find(candidate => candidate.name === tableName || candidate.id === tableName);
+    
+    let matches = [...records.values()].filter(record => !deleted.has(record.id));
+    if (params.filterByFormula) {
+      try {
+        const matchesFormula = createFormulaFilter(params.filterByFormula[0]);
+        matches = matches.filter(record => matchesFormula({
+          field: name => formulaValue(table, record, name),
+          lastModifiedTime: () => modifiedAt.get(record.id) || fixtures.recordedAt
+        }));
+      } catch (error) {
+        return { status: 422, data: { error: { type: 'INVALID_FILTER_BY_FORMULA', message: error.message } } };
+      }
+    }
+    if (params.maxRecords) {
+      matches = matches.slice(0, Number(params.maxRecords[0]));
+    }
+    
+    const fields = params['fields[]'] || params.fields;
+    if (fields) {
+      matches = matches.map(record => ({
+        ...record,
+        fields: Object.fromEntries(Object.entries(record.fields).filter(([name]) => fields.includes(name)))
+      }));
+    }
+    return { status: 200, data: { records: matches } };
+  };
+  
+  // Recorded response for an API request, or a single record or record list from the recorded lists
+  const recordedResponse = (apiPath, params) => {
+    const key = requestKey(apiPath, params);
+    const entries = fixtures.responses.get(key);
+    if (entries) {
+      const index = served.get(key) || 0;
+      served.set(key, index + 1);
+      const entry = entries[Math.min(index, entries.length - 1)];
+      if (deleted.size === 0 || !entry.data || !Array.isArray(entry.data.records)) {
+        return entry;
+      }
+      return { ...entry, data: { ...entry.data, records: entry.data.records.filter(record => !deleted.has(record.id)) } };
+    }
+    if (apiPath.startsWith('/meta/')) {
+      return null;
+    }
+    
+    const decodedPath = decodeURIComponent(apiPath);
+    const recordId = decodedPath.split('/')[3];
+    if (recordId) {
+      return recordsById.has(recordId) && !deleted.has(recordId)
+        ? { status: 200, data: recordsById.get(recordId), single: true }
+        : null;
+    }
+    
+    const tableRecords = recordsByPath.get(decodedPath);
+    return tableRecords ? listResponse(decodedPath, tableRecords, params) : null;
+  };
+  
+  // Point the attachment URLs of a response to the mock server. URLs handed out with record
+  // lists can be expired by the "expired" fault; those of a single record request never are.
+  const withLocalUrls = (data, issued) => {
+    const copy = JSON.parse(JSON.stringify(data));
+    forEachAttachment(copy, (attachment) => {
+      attachment.url = `${origin}/attachments/${encodeURIComponent(attachment.id)}?issued=${issued}`;
+    });
+    return copy;
+  };
+  
+  const handleApi = (req, res, url, report) => {
+    const apiPath = url.pathname.slice('/v0'.length);
+    const params = {};
+    for (const name of new Set(url.searchParams.keys())) {
+      params[name] = url.searchParams.getAll(name);
+    }
+    
+    const entry = recordedResponse(apiPath, params);
+    if (!entry) {
+      report(404);
+      return sendJson(res, 404, { error: { type: 'NOT_FOUND', message: `No recorded response for GET ${decodeURIComponent(apiPath)}` } });
+    }
+    
+    report(entry.status);
+    sendJson(res, entry.status, withLocalUrls(entry.data, entry.single || !Array.isArray(entry.data && entry.data.records) ? 'record' : 'list'));
+  };
+  
+  const handleAttachment = (req, res, url, report) => {
+    const attachmentId = decodeURIComponent(url.pathname.split('/')[2] || '');
+    const filePath = fixtures.attachmentPath(attachmentId);
+    
+    if (url.searchParams.get('issued') === 'list' && faults.expired > 0 && hashShare(`${seed}:${attachmentId}`) < faults.expired) {
+      report(410, 'expired');
+      res.writeHead(410, { 'Content-Type': 'text/plain' });
+      return res.end('URL expired');
+    }
+    if (!filePath) {
+      report(404);
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      return res.end('Attachment was not recorded');
+    }
+    
+    const body = fs.readFileSync(filePath);
+    res.writeHead(200, {
+      'Content-Type': attachmentTypes.get(attachmentId) || 'application/octet-stream',
+      'Content-Length': body.length
+    });
+    
+    // Send the first half with the full Content-Length, then drop the connection
+    if (hits('truncate')) {
+      report(200, 'truncate');
+      return res.write(body.subarray(0, Math.floor(body.length / 2)), () => res.destroy());
+    }
+    
+    report(200);
+    res.end(body);
+  };
+  
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, origin);
+    const report = (status, fault = null) => onRequest({ method: req.method, path: url.pathname, status, fault });
+    
+    if (req.method !== 'GET') {
+      report(405);
+      return sendJson(res, 405, { error: { type: 'METHOD_NOT_ALLOWED', message: 'The mock server is read-only' } });
+    }
+    if (url.pathname.startsWith('/attachments/') && hits('429-attachments')) {
+      report(429, '429-attachments');
+      return sendJson(res, 429, { errors: [{ error: 'RATE_LIMIT_REACHED', message: 'Injected rate limit' }] }, { 'Retry-After': '0' });
+    }
+    if (hits('429')) {
+      report(429, '429');
+      return sendJson(res, 429, { errors: [{ error: 'RATE_LIMIT_REACHED', message: 'Injected rate limit' }] }, { 'Retry-After': '1' });
+    }
+    if (hits('5xx')) {
+      report(503, '5xx');
+      return sendJson(res, 503, { error: { type: 'SERVICE_UNAVAILABLE', message: 'Injected server error' } });
+    }
+    
+    if (url.pathname.startsWith('/v0/')) {
+      return handleApi(req, res, url, report);
+    }
+    if (url.pathname.startsWith('/attachments/')) {
+      return handleAttachment(req, res, url, report);
+    }
+    
+    report(404);
+    sendJson(res, 404, { error: { type: 'NOT_FOUND', message: `Unknown path ${url.pathname}` } });
+  });
+  
+  return {
+    baseId: fixtures.baseId,
+    recordedAt: fixtures.recordedAt,
+    
+    // Start listening (port 0 picks a free one); resolves with the API URL to use instead of
+    // https://api.airtable.com/v0
+    listen(port = 0, host = '127.0.0.1') {
+      return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+          origin = `http://${host}:${server.address().port}`;
+          resolve(`${origin}/v0`);
+        });
+      });
+    },
+    
+    close() {
+      return new Promise((resolve) => {
+        server.close(() => resolve());
+        server.closeAllConnections();
+      });
+    },
+    
+    // Change fields of a recorded record as if it was edited in Airtable now
+    updateRecord(recordId, fields) {
+      const record = recordsById.get(recordId);
+      if (!record) {
+        throw new Error(`Record ${recordId} isn't in the recording`);
+      }
+      Object.assign(record.fields, fields);
+      modifiedAt.set(recordId, new Date().toISOString());
+    },
+    
+    // Remove a recorded record as if it was deleted in Airtable
+    deleteRecord(recordId) {
+      deleted.add(recordId);
+    }
+  };
+}
+
+module.exports = {
+  FAULT_TYPES,
+  parseFaults,
+  createMockServer
+};
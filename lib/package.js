@@ -0,0 +1,526 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const zlib = require('zlib');
+const { pipeline } = require('stream/promises');
+const tar = require('tar-stream');
+const yazl = require('yazl');
+const yauzl = require('yauzl');
+const { name: softwareName, version } = require('../package.json');
+const { IMAGES_DIR, TABLES_DIR, SYNC_STATE_FILE, readTables, archiveCounts } = require('./archive');
+const { createHashStream } = require('./attachments');
+const { formatBytes } = require('./progress');
+const { ConfigError } = require('./errors');
+
+// Packages of the archive are BagIt bags (RFC 8493): the table files and images under data/,
+// a SHA-256 manifest of them and bag-info.txt describing the archive. A bag is written as a
+// directory or serialized into one file named after it, with the bag directory at its top.
+const PACKAGE_TYPES = {
+  bag: '',
+  'tar.gz': '.tar.gz',
+  zip: '.zip'
+};
+
+// Default directory of the packages, in the output directory
+const PACKAGES_DIR = 'packages';
+
+const BAGIT_VERSION = '1.0';
+const PAYLOAD_DIR = 'data';
+
+// Tag files of a bag
+const BAGIT_FILE = 'bagit.txt';
+const BAG_INFO_FILE = 'bag-info.txt';
+const MANIFEST_FILE = 'manifest-sha256.txt';
+const TAG_MANIFEST_FILE = 'tagmanifest-sha256.txt';
+const TAG_FILES = [BAGIT_FILE, BAG_INFO_FILE, MANIFEST_FILE, TAG_MANIFEST_FILE];
+
+// Room kept for every file when splitting into parts: its tar or zip headers and its manifest line
+const ENTRY_OVERHEAD = 2048;
+
+// Sizes for --split-size, e.g. 700M or 4.5G
+const SIZE_UNITS = { '': 1, K: 1024, M: 1024 ** 2, G: 1024 ** 3, T: 1024 ** 4 };
+
+// Kinds of problems found by validatePackages
+const PROBLEMS = {
+  NOT_A_BAG: 'not-a-bag',                     // No bagit.txt, or the file can't be read as a package
+  MISSING_MANIFEST: 'missing-manifest',       // No manifest-sha256.txt
+  MISSING_FILE: 'missing-file',               // File listed in the manifest is missing
+  CHECKSUM_MISMATCH: 'checksum-mismatch',     // File content differs from its manifest entry
+  UNLISTED_FILE: 'unlisted-file',             // Payload file that isn't in the manifest
+  OXUM_MISMATCH: 'oxum-mismatch',             // Payload size or file count differs from Payload-Oxum
+  MISSING_PART: 'missing-part'                // Part of a split package wasn't among the validated ones
+};
+
+// Bytes of a size like 500M, 4G or 1.5GB (units of 1024)
+function parseSize(value) {
+  const match = /^(\d+(?:\.\d+)?)\s*([KMGT]?)B?$/i.exec(String(value).trim());
+  const bytes = match && Math.floor(Number(match[1]) * SIZE_UNITS[match[2].toUpperCase()]);
+  if (!bytes) {
+    throw new ConfigError(`Invalid size "${value}". Expected a number of bytes with an optional unit, e.g. 700M or 4G`);
+  }
+  return bytes;
+}
+
+// Manifest paths escape the characters that would break their line format
+function encodeManifestPath(filePath) {
+  return filePath.replace(/%/g, '%25').replace(/\r/g, '%0D').replace(/\n/g, '%0A');
+}
+
+function decodeManifestPath(filePath) {
+  return filePath.replace(/%0D/gi, '\r').replace(/%0A/gi, '\n').replace(/%25/g, '%');
+}
+
+// Lines of "<sha256> <path>" for the files of a manifest
+function formatManifest(entries) {
+  return entries.map(entry => `${entry.sha256}  ${encodeManifestPath(entry.path)}\n`).join('');
+}
+
+// Checksums by path of a manifest's lines
+function parseManifest(text) {
+  const checksums = new Map();
+  for (const line of text.split(/\r?\n/).filter(Boolean)) {
+    const match = /^([0-9a-f]+)\s+(.+)$/i.exec(line);
+    if (match) {
+      checksums.set(decodeManifestPath(match[2]), match[1].toLowerCase());
+    }
+  }
+  return checksums;
+}
+
+// Fields of bag-info.txt; continuation lines start with whitespace
+function parseBagInfo(text) {
+  const info = {};
+  let label = null;
+  for (const line of text.split(/\r?\n/)) {
+    if (/^\s/.test(line) && label) {
+      info[label] += ` ${line.trim()}`;
+    } else if (line.includes(':')) {
+      label = line.slice(0, line.indexOf(':')).trim();
+      info[label] = line.slice(line.indexOf(':') + 1).trim();
+    }
+  }
+  return info;
+}
+
+// Files of the archive that go into a package: the table files and the images, in path order
+function payloadFiles(outputDir) {
+  const files = [];
+  const walk = (dir) => {
+    const entries = fs.readdirSync(path.join(outputDir, dir), { withFileTypes: true })
+      .sort((a, b) => a.name.localeCompare(b.name));
+    for (const entry of entries) {
+      const relativePath = path.posix.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        walk(relativePath);
+      } else if (entry.isFile() && !entry.name.endsWith('.part')) {
+        files.push({ path: relativePath, size: fs.statSync(path.join(outputDir, relativePath)).size });
+      }
+    }
+  };
+  
+  [TABLES_DIR, IMAGES_DIR].filter(dir => fs.existsSync(path.join(outputDir, dir))).forEach(walk);
+  return files;
+}
+
+// Payload files split into parts of at most splitSize bytes. Files stay whole, so a file larger
+// than splitSize gets a part of its own.
+function splitParts(files, splitSize) {
+  if (!splitSize) {
+    return [files];
+  }
+  
+  const parts = [];
+  let current = [];
+  let size = 0;
+  for (const file of files) {
+    const fileSize = file.size + ENTRY_OVERHEAD;
+    if (current.length > 0 && size + fileSize > splitSize) {
+      parts.push(current);
+      current = [];
+      size = 0;
+    }
+    current.push(file);
+    size += fileSize;
+  }
+  parts.push(current);
+  return parts;
+}
+
+// Writer of a bag in one of the PACKAGE_TYPES. add() copies a file into the bag and resolves with
+// its sha256 and size, hashed while it's written so every file is read once.
+function createBagWriter(type, target, bagName) {
+  if (type === 'bag') {
+    return {
+      async add(name, source) {
+        const to = path.join(target, name);
+        await fs.ensureDir(path.dirname(to));
+        const hashing = createHashStream();
+        await pipeline(fs.createReadStream(source), hashing, fs.createWriteStream(to));
+        return { sha256: hashing.digest(), size: hashing.size };
+      },
+      addBuffer: (name, buffer) => fs.outputFile(path.join(target, name), buffer),
+      close: async () => {},
+      abort: () => {}
+    };
+  }
+  
+  if (type === 'tar.gz') {
+    const pack = tar.pack();
+    const written = pipeline(pack, zlib.createGzip(), fs.createWriteStream(target));
+    written.catch(() => {});
+    const entry = (name, header) => ({ name: `${bagName}/${name}`, mtime: new Date(), ...header });
+    
+    return {
+      async add(name, source) {
+        const { size, mtime } = await fs.stat(source);
+        const hashing = createHashStream();
+        await pipeline(fs.createReadStream(source), hashing, pack.entry(entry(name, { size, mtime })));
+        return { sha256: hashing.digest(), size: hashing.size };
+      },
+      addBuffer: (name, buffer) => new Promise((resolve, reject) => {
+        pack.entry(entry(name, { size: buffer.length }), buffer, error => (error ? reject(error) : resolve()));
+      }),
+      close: () => {
+        pack.finalize();
+        return written;
+      },
+      abort: () => pack.destroy()
+    };
+  }
+  
+  const zip = new yazl.ZipFile();
+  const written = pipeline(zip.outputStream, fs.createWriteStream(target));
+  written.catch(() => {});
+  
+  return {
+    async add(name, source) {
+      const { size, mtime } = await fs.stat(source);
+      const hashing = createHashStream();
+      const reading = fs.createReadStream(source);
+      reading.pipe(hashing);
+      // Images are compressed already; only the table files are worth deflating
+      zip.addReadStream(hashing, `${bagName}/${name}`, { size, mtime, compress: path.extname(name) === '.json' });
+      await new Promise((resolve, reject) => {
+        reading.once('error', reject);
+        hashing.once('error', reject);
+        hashing.once('end', resolve);
+      });
+      return { sha256: hashing.digest(), size: hashing.size };
+    },
+    addBuffer: async (name, buffer) => zip.addBuffer(buffer, `${bagName}/${name}`),
+    close: () => {
+      zip.end();
+      return written;
+    },
+    abort: () => zip.outputStream.destroy()
+  };
+}
+
+// Contents of bag-info.txt: the archive's base, last sync, record counts and image count as in
+// the summary of a download, and the size of this bag's payload
+function bagInfo({ baseId, lastSyncTime, counts, baggingDate, bytes, files, group }) {
+  const fields = [
+    ['External-Description', `Horizontal Mattress archive${baseId ? ` of Airtable base ${baseId}` : ''}`],
+    ['Bagging-Date', baggingDate],
+    ['Bag-Software-Agent', `${softwareName} ${version}`],
+    ['Payload-Oxum', `${bytes}.${files}`],
+    ['Bag-Size', formatBytes(bytes)]
+  ];
+  if (group) {
+    fields.push(['Bag-Group-Identifier', group.identifier], ['Bag-Count', `${group.index} of ${group.count}`]);
+  }
+  if (baseId) {
+    fields.push(['Airtable-Base-Id', baseId]);
+  }
+  if (lastSyncTime) {
+    fields.push(['Airtable-Last-Sync', lastSyncTime]);
+  }
+  Object.entries(counts.records).forEach(([tableName, count]) => fields.push([`Record-Count-${tableName}`, count]));
+  fields.push(['Image-Count', counts.images]);
+  
+  return fields.map(([label, value]) => `${label}: ${value}\n`).join('');
+}
+
+// Package the table files and images of an archive as BagIt bags in dest, split into parts of at
+// most splitSize bytes if given. Every bag is written next to its final path first and moved
+// there when complete. Resolves with { packages: [{ name, path, files, bytes }], files, bytes }.
+async function createPackage(outputDir, {
+  dest = path.join(outputDir, PACKAGES_DIR), type = 'bag', splitSize = null, name = null, baseId = null, onProgress = () => {}
+} = {}) {
+  if (!(type in PACKAGE_TYPES)) {
+    throw new ConfigError(`Unknown package type "${type}". Expected one of: ${Object.keys(PACKAGE_TYPES).join(', ')}`);
+  }
+  const data = readTables(outputDir);
+  if (!data) {
+    throw new ConfigError(`No archive found in ${outputDir}. Run the download command first.`);
+  }
+  
+  const syncStatePath = path.join(outputDir, SYNC_STATE_FILE);
+  const { lastSyncTime = null } = fs.existsSync(syncStatePath) ? fs.readJsonSync(syncStatePath) : {};
+  const counts = archiveCounts(data);
+  const baggingDate = new Date().toISOString().slice(0, 10);
+  const groupName = name || `mattress-archive-${baggingDate}`;
+  
+  const files = payloadFiles(outputDir);
+  const parts = splitParts(files, splitSize);
+  const packages = [];
+  let packaged = 0;
+  fs.ensureDirSync(dest);
+  
+  for (const [index, partFiles] of parts.entries()) {
+    const group = parts.length > 1 ? { identifier: groupName, index: index + 1, count: parts.length } : null;
+    const bagName = group ? `${groupName}-part-${group.index}-of-${group.count}` : groupName;
+    const target = path.join(dest, `${bagName}${PACKAGE_TYPES[type]}`);
+    const partialPath = `${target}.part`;
+    fs.removeSync(partialPath);
+    
+    const writer = createBagWriter(type, partialPath, bagName);
+    const manifest = [];
+    try {
+      for (const file of partFiles) {
+        const payloadPath = `${PAYLOAD_DIR}/${file.path}`;
+        const { sha256, size } = await writer.add(payloadPath, path.join(outputDir, file.path));
+        manifest.push({ path: payloadPath, sha256, size });
+        onProgress(++packaged, files.length);
+      }
+      
+      const bytes = manifest.reduce((total, entry) => total + entry.size, 0);
+      const tagFiles = [
+        [BAGIT_FILE, `BagIt-Version: ${BAGIT_VERSION}\nTag-File-Character-Encoding: UTF-8\n`],
+        [BAG_INFO_FILE, bagInfo({ baseId, lastSyncTime, counts, baggingDate, bytes, files: manifest.length, group })],
+        [MANIFEST_FILE, formatManifest(manifest)]
+      ].map(([tagPath, text]) => ({ path: tagPath, buffer: Buffer.from(text, 'utf8') }));
+      tagFiles.push({
+        path: TAG_MANIFEST_FILE,
+        buffer: Buffer.from(formatManifest(tagFiles.map(tag => ({
+          path: tag.path, sha256: crypto.createHash('sha256').update(tag.buffer).digest('hex')
+        }))), 'utf8')
+      });
+      
+      for (const tag of tagFiles) {
+        await writer.addBuffer(tag.path, tag.buffer);
+      }
+      await writer.close();
+      
+      fs.removeSync(target);
+      fs.moveSync(partialPath, target);
+      packages.push({ name: bagName, path: target, files: manifest.length, bytes });
+    } catch (error) {
+      writer.abort();
+      fs.removeSync(partialPath);
+      throw error;
+    }
+  }
+  
+  return { packages, files: files.length, bytes: packages.reduce((total, bag) => total + bag.bytes, 0), counts };
+}
+
+// Top-level directory of a serialized bag and the path of an entry inside it
+function splitRoot(entryName) {
+  const [root, ...rest] = entryName.replace(/^\.\//, '').split('/');
+  return { root, path: rest.join('/') };
+}
+
+// Read every file of a package, calling onEntry(path, stream) one file after the other with the
+// file's path inside the bag. Resolves with the bag's name.
+async function readPackage(source, onEntry) {
+  if (fs.statSync(source).isDirectory()) {
+    const walk = async (dir) => {
+      const entries = fs.readdirSync(path.join(source, dir), { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name));
+      for (const entry of entries) {
+        const relativePath = dir ? `${dir}/${entry.name}` : entry.name;
+        if (entry.isDirectory()) {
+          await walk(relativePath);
+        } else if (entry.isFile()) {
+          await onEntry(relativePath, fs.createReadStream(path.join(source, relativePath)));
+        }
+      }
+    };
+    await walk('');
+    return path.basename(source);
+  }
+  
+  let root = null;
+  if (source.endsWith(PACKAGE_TYPES['tar.gz'])) {
+    const extract = tar.extract();
+    extract.on('entry', (header, stream, next) => {
+      if (header.type !== 'file') {
+        stream.resume();
+        return next();
+      }
+      const entry = splitRoot(header.name);
+      root = root || entry.root;
+      onEntry(entry.path, stream).then(() => next(), error => extract.destroy(error));
+    });
+    await pipeline(fs.createReadStream(source), zlib.createGunzip(), extract);
+    return root;
+  }
+  
+  if (source.endsWith(PACKAGE_TYPES.zip)) {
+    const zip = await new Promise((resolve, reject) => {
+      yauzl.open(source, { lazyEntries: true }, (error, file) => (error ? reject(error) : resolve(file)));
+    });
+    await new Promise((resolve, reject) => {
+      zip.on('entry', (zipEntry) => {
+        if (zipEntry.fileName.endsWith('/')) {
+          return zip.readEntry();
+        }
+        zip.openReadStream(zipEntry, (error, stream) => {
+          if (error) {
+            return reject(error);
+          }
+          const entry = splitRoot(zipEntry.fileName);
+          root = root || entry.root;
+          onEntry(entry.path, stream).then(() => zip.readEntry(), reject);
+        });
+      });
+      zip.once('end', resolve);
+      zip.once('error', reject);
+      zip.readEntry();
+    });
+    zip.close();
+    return root;
+  }
+  
+  throw new ConfigError(`${source} is not a bag directory, ${PACKAGE_TYPES['tar.gz']} or ${PACKAGE_TYPES.zip} file`);
+}
+
+// Check one bag: every manifest entry exists with its checksum, every payload file is listed,
+// Payload-Oxum matches and the tag files match the tag manifest
+async function validateBag(source) {
+  const files = new Map();
+  const tags = {};
+  const problems = [];
+  const problem = (type, filePath, message) => problems.push({ type, path: filePath, message });
+  
+  let name = path.basename(source);
+  try {
+    name = await readPackage(source, async (filePath, stream) => {
+      // Tag files are small and kept to be parsed; payload files are only hashed
+      const isTag = TAG_FILES.includes(filePath);
+      const hashing = createHashStream();
+      const chunks = [];
+      for await (const chunk of stream.pipe(hashing)) {
+        if (isTag) {
+          chunks.push(chunk);
+        }
+      }
+      files.set(filePath, { sha256: hashing.digest(), size: hashing.size });
+      if (isTag) {
+        tags[filePath] = Buffer.concat(chunks).toString('utf8');
+      }
+    }) || name;
+  } catch (error) {
+    if (error instanceof ConfigError) {
+      throw error;
+    }
+    problem(PROBLEMS.NOT_A_BAG, source, `Can't read the package: ${error.message}`);
+    return { name, path: source, info: {}, files: 0, bytes: 0, problems };
+  }
+  
+  const info = tags[BAG_INFO_FILE] !== undefined ? parseBagInfo(tags[BAG_INFO_FILE]) : {};
+  const payload = [...files.entries()].filter(([filePath]) => filePath.startsWith(`${PAYLOAD_DIR}/`));
+  const bytes = payload.reduce((total, [, file]) => total + file.size, 0);
+  const result = { name, path: source, info, files: payload.length, bytes, problems };
+  
+  if (tags[BAGIT_FILE] === undefined || !/^BagIt-Version:/m.test(tags[BAGIT_FILE])) {
+    problem(PROBLEMS.NOT_A_BAG, BAGIT_FILE, `No ${BAGIT_FILE} with a BagIt-Version`);
+    return result;
+  }
+  if (tags[MANIFEST_FILE] === undefined) {
+    problem(PROBLEMS.MISSING_MANIFEST, MANIFEST_FILE, 'The bag has no SHA-256 manifest');
+    return result;
+  }
+  
+  const checkManifest = (manifestPath) => {
+    const checksums = parseManifest(tags[manifestPath]);
+    for (const [filePath, sha256] of checksums) {
+      const file = files.get(filePath);
+      if (!file) {
+        problem(PROBLEMS.MISSING_FILE, filePath, `Listed in ${manifestPath} but missing`);
+      } else if (file.sha256 !== sha256) {
+        problem(PROBLEMS.CHECKSUM_MISMATCH, filePath, `sha256 is ${file.sha256}, ${manifestPath} has ${sha256}`);
+      }
+    }
+    return checksums;
+  };
+  
+  const listed = checkManifest(MANIFEST_FILE);
+  payload.filter(([filePath]) => !listed.has(filePath)).forEach(([filePath]) => {
+    problem(PROBLEMS.UNLISTED_FILE, filePath, `Not listed in ${MANIFEST_FILE}`);
+  });
+  if (tags[TAG_MANIFEST_FILE] !== undefined) {
+    checkManifest(TAG_MANIFEST_FILE);
+  }
+  
+  if (info['Payload-Oxum'] && info['Payload-Oxum'] !== `${bytes}.${payload.length}`) {
+    problem(PROBLEMS.OXUM_MISMATCH, BAG_INFO_FILE, `Payload-Oxum is ${info['Payload-Oxum']}, the payload has ${bytes} bytes in ${payload.length} files`);
+  }
+  
+  return result;
+}
+
+// Bags to validate for a path: a bag directory or package file itself, or the bags and package
+// files in a directory, e.g. the parts of a split package
+function findPackages(source) {
+  if (!fs.existsSync(source)) {
+    throw new ConfigError(`${source} doesn't exist`);
+  }
+  if (!fs.statSync(source).isDirectory() || fs.existsSync(path.join(source, BAGIT_FILE))) {
+    return [source];
+  }
+  
+  const found = fs.readdirSync(source).sort()
+    .map(entry => path.join(source, entry))
+    .filter(entry => (fs.statSync(entry).isDirectory()
+      ? fs.existsSync(path.join(entry, BAGIT_FILE))
+      : [PACKAGE_TYPES['tar.gz'], PACKAGE_TYPES.zip].some(extension => entry.endsWith(extension))));
+  if (found.length === 0) {
+    throw new ConfigError(`No bags found in ${source}`);
+  }
+  return found;
+}
+
+// Validate packages made by createPackage (or any BagIt bag with a SHA-256 manifest) and, for split
+// packages, that every part of a group was among them. onBag is called with each bag's result.
+// Resolves with { bags, problems }, where every problem names its bag.
+async function validatePackages(sources, { onBag = () => {} } = {}) {
+  const bags = [];
+  for (const source of sources.flatMap(findPackages)) {
+    const bag = await validateBag(source);
+    bags.push(bag);
+    onBag(bag);
+  }
+  
+  const problems = bags.flatMap(bag => bag.problems.map(item => ({ bag: bag.name, ...item })));
+  
+  // Bag-Count is "<index> of <count>" within a Bag-Group-Identifier
+  const groups = new Map();
+  for (const bag of bags) {
+    const match = /^(\d+) of (\d+)$/.exec(bag.info['Bag-Count'] || '');
+    const group = bag.info['Bag-Group-Identifier'];
+    if (match && group) {
+      const entry = groups.get(group) || { count: Number(match[2]), parts: new Set() };
+      entry.parts.add(Number(match[1]));
+      groups.set(group, entry);
+    }
+  }
+  for (const [group, { count, parts }] of groups) {
+    for (let index = 1; index <= count; index++) {
+      if (!parts.has(index)) {
+        problems.push({ bag: group, type: PROBLEMS.MISSING_PART, path: group, message: `Part ${index} of ${count} wasn't validated` });
+      }
+    }
+  }
+  
+  return { bags, problems };
+}
+
+module.exports = {
+  PACKAGE_TYPES,
+  PACKAGES_DIR,
+  PROBLEMS,
+  parseSize,
+  createPackage,
+  validatePackages
+};
@@ -0,0 +1,106 @@
+const { TABLES } = require('./config');
+const { findTable } = require('./schema');
+const { AirtableError, SchemaError } = require('./errors');
+
+// Kinds of problems found by the preflight
+const PROBLEMS = {
+  NO_SCHEMA_ACCESS: 'no-schema-access',   // The token can't read the base schema
+  NO_RECORD_ACCESS: 'no-record-access',   // The token can't read the records of a table
+  MISSING_TABLE: 'missing-table',         // A configured table isn't in the base
+  MISSING_FIELD: 'missing-field',         // A fixed, included or excluded field isn't in its table
+  MISSING_VIEW: 'missing-view'            // The view records are read from isn't in the table
+};
+
+// Problems that mean the token lacks access rather than the configuration being wrong
+const ACCESS_PROBLEMS = [PROBLEMS.NO_SCHEMA_ACCESS, PROBLEMS.NO_RECORD_ACCESS];
+
+// Statuses Airtable answers with when the token is invalid, lacks a scope or has no access to the base
+const ACCESS_STATUSES = [401, 403, 404];
+
+// Field names the configuration refers to in a table: fixed fields and the field selection
+function configuredFields(config, key) {
+  const options = config.TABLE_OPTIONS[key] || {};
+  return [...new Set([
+    ...Object.values(config.FIELD_NAMES[key] || {}),
+    ...(options.include || []),
+    ...(options.exclude || [])
+  ])];
+}
+
+// View the records of a table are read from; mattresses can have their own in the filter
+function configuredView(config, key) {
+  return (key === TABLES.MATTRESSES && config.FILTER && config.FILTER.view) || config.VIEW;
+}
+
+// Check that the token can read the base schema and the records of every configured table, and
+// that the configured tables, fields and views exist, before anything is downloaded. Takes an
+// Airtable client (lib/airtable.js) and a configuration with the keys of defaultConfig().
+// Resolves with the schema (null if it can't be read), the result per table and the problems;
+// other errors, like a network failure, reject.
+async function runPreflight(airtable, config) {
+  const problems = [];
+  const tables = {};
+  
+  let schemaTables = null;
+  try {
+    schemaTables = await airtable.listTables();
+  } catch (error) {
+    if (!(error instanceof AirtableError) || !ACCESS_STATUSES.includes(error.status)) {
+      throw error;
+    }
+    problems.push({ type: PROBLEMS.NO_SCHEMA_ACCESS, status: error.status, message: `${error.message} (the token needs the schema.bases:read scope and access to base ${config.BASE_ID})` });
+  }
+  
+  for (const key of Object.values(TABLES)) {
+    const name = config.TABLE_NAMES[key];
+    const fields = configuredFields(config, key);
+    const result = { name, id: null, fields, readable: false };
+    tables[key] = result;
+    
+    if (schemaTables) {
+      const table = findTable(schemaTables, name);
+      if (!table) {
+        problems.push({ type: PROBLEMS.MISSING_TABLE, table: key, message: `Table "${name}" (${key}) was not found in the base` });
+        continue;
+      }
+      result.id = table.id;
+      fields.filter(field => !table.fields.some(schemaField => schemaField.name === field)).forEach(field => {
+        problems.push({ type: PROBLEMS.MISSING_FIELD, table: key, field, message: `Field "${field}" was not found in table "${name}" (${key})` });
+      });
+    }
+    
+    // One record is enough to tell whether the records and the view can be read
+    const view = configuredView(config, key);
+    try {
+      await airtable.listRecords(name, { maxRecords: 1, view });
+      result.readable = true;
+    } catch (error) {
+      if (!(error instanceof AirtableError)) {
+        throw error;
+      }
+      if (error.type === 'VIEW_NAME_NOT_FOUND') {
+        problems.push({ type: PROBLEMS.MISSING_VIEW, table: key, message: `View "${view}" was not found in table "${name}" (${key})` });
+      } else if (ACCESS_STATUSES.includes(error.status)) {
+        problems.push({ type: PROBLEMS.NO_RECORD_ACCESS, table: key, status: error.status, message: `Can't read records of "${name}" (${key}): ${error.message} (the token needs the data.records:read scope)` });
+      } else {
+        throw error;
+      }
+    }
+  }
+  
+  return { schemaTables, tables, problems };
+}
+
+// Error for the problems of a preflight: an AirtableError when the token lacks access, otherwise
+// a SchemaError for the missing tables, fields and views
+function preflightError(problems) {
+  const message = `Preflight check failed: ${problems.map(problem => problem.message).join('; ')}`;
+  const access = problems.find(problem => ACCESS_PROBLEMS.includes(problem.type));
+  return access ? new AirtableError(message, { status: access.status }) : new SchemaError(message);
+}
+
+module.exports = {
+  PROBLEMS,
+  runPreflight,
+  preflightError
+};
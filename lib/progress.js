@@ -0,0 +1,91 @@
+const ora = require('ora');
+
+// Format a byte count for display
+function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
+
+// Format a duration in milliseconds as e.g. "1h 4m" or "3m 20s"
+function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = seconds % 60;
+  if (h > 0) return `${h}h ${m}m`;
+  if (m > 0) return `${m}m ${s}s`;
+  return `${s}s`;
+}
+
+// A single progress line for a batch of image downloads with throughput and ETA
+function createProgress(label) {
+  const spinner = ora(label).start();
+  const startedAt = Date.now();
+  const counts = { total: 0, downloaded: 0, skipped: 0, failed: 0, bytes: 0 };
+  
+  const done = () => counts.downloaded + counts.skipped + counts.failed;
+  
+  const render = () => {
+    const elapsed = Date.now() - startedAt;
+    const finished = done();
+    const remaining = counts.total - finished;
+    const rate = finished / (elapsed / 1000 || 1);
+    const eta = rate > 0 && remaining > 0 ? ` · ETA ${formatDuration((remaining / rate) * 1000)}` : '';
+    const throughput = formatBytes(counts.bytes / (elapsed / 1000 || 1));
+    spinner.text = `${label} ${finished}/${counts.total} · ${throughput}/s · ${rate.toFixed(1)} img/s${eta}`;
+  };
+  
+  const timer = setInterval(render, 1000);
+  timer.unref();
+  
+  return {
+    counts,
+    addTotal(count) {
+      counts.total += count;
+      render();
+    },
+    downloaded(bytes) {
+      counts.downloaded++;
+      counts.bytes += bytes;
+      render();
+    },
+    skipped() {
+      counts.skipped++;
+      render();
+    },
+    failed() {
+      counts.failed++;
+      render();
+    },
+    // Print a message without breaking the progress line
+    log(print, message) {
+      spinner.clear();
+      print(message);
+      if (spinner.isSpinning) {
+        spinner.render();
+      }
+    },
+    finish() {
+      clearInterval(timer);
+      const elapsed = Date.now() - startedAt;
+      const message = `${label} ${counts.downloaded} downloaded (${formatBytes(counts.bytes)}), ${counts.skipped} already present, ${counts.failed} failed in ${formatDuration(elapsed)}`;
+      if (counts.failed > 0) {
+        spinner.warn(message);
+      } else {
+        spinner.succeed(message);
+      }
+    }
+  };
+}
+
+module.exports = {
+  formatBytes,
+  formatDuration,
+  createProgress
+};
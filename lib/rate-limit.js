@@ -0,0 +1,136 @@
+// Helper function to add delay between requests
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Token bucket shared by every caller of one API: allows short bursts up to `capacity`
+// and refills at `rate` tokens per second. A rate of null means no limit. The capacity is at
+// least one token, so rates below one per second (e.g. --delay 3000) still grant tokens.
+class TokenBucket {
+  constructor({ rate, capacity = rate }) {
+    this.rate = rate;
+    this.capacity = Math.max(1, capacity || 1);
+    this.tokens = this.capacity;
+    this.lastRefill = Date.now();
+    this.pausedUntil = 0;
+    this.queue = Promise.resolve();
+  }
+  
+  refill(now) {
+    const elapsed = (now - this.lastRefill) / 1000;
+    this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.rate);
+    this.lastRefill = now;
+  }
+  
+  // Wait for a token; callers are served in the order they asked
+  take() {
+    const turn = this.queue.then(() => this.waitForToken());
+    this.queue = turn.catch(() => {});
+    return turn;
+  }
+  
+  async waitForToken() {
+    for (;;) {
+      const now = Date.now();
+      
+      if (now < this.pausedUntil) {
+        await delay(this.pausedUntil - now);
+        continue;
+      }
+      
+      if (!this.rate) {
+        return;
+      }
+      
+      this.refill(now);
+      if (this.tokens >= 1) {
+        this.tokens -= 1;
+        return;
+      }
+      
+      await delay(Math.ceil(((1 - this.tokens) / this.rate) * 1000));
+    }
+  }
+  
+  // Hold back every caller for the given time, e.g. after a 429 response
+  pause(ms) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+    this.tokens = 0;
+  }
+}
+
+// Run at most `concurrency` tasks at the same time; extra tasks wait in line
+function createPool(concurrency) {
+  const waiting = [];
+  let active = 0;
+  
+  const next = () => {
+    if (active >= concurrency || waiting.length === 0) {
+      return;
+    }
+    
+    const { task, resolve, reject } = waiting.shift();
+    active++;
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+  
+  return {
+    run(task) {
+      return new Promise((resolve, reject) => {
+        waiting.push({ task, resolve, reject });
+        next();
+      });
+    }
+  };
+}
+
+// Read a Retry-After header (seconds or HTTP date) in milliseconds
+function retryAfterMs(headers, fallbackMs) {
+  const value = headers && headers['retry-after'];
+  if (!value) {
+    return fallbackMs;
+  }
+  
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return seconds * 1000;
+  }
+  
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? fallbackMs : Math.max(0, date - Date.now());
+}
+
+// Codes of network failures, and of downloads that stopped early, that are worth retrying
+const TRANSIENT_ERROR_CODES = [
+  'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN',
+  'ENETUNREACH', 'EHOSTUNREACH', 'ERR_STREAM_PREMATURE_CLOSE', 'ETRUNCATED'
+];
+
+// Whether a failed request may succeed when it's sent again: a server error (5xx) or a network
+// failure without a response
+function isTransientError(error) {
+  if (error.response) {
+    return error.response.status >= 500;
+  }
+  return TRANSIENT_ERROR_CODES.includes(error.code);
+}
+
+// Wait before the given retry (1, 2, ...): doubles from baseMs up to maxMs, less up to a quarter
+// at random so parallel requests don't retry in step
+function backoffMs(attempt, baseMs = 1000, maxMs = 30000) {
+  const wait = Math.min(maxMs, baseMs * 2 ** (attempt - 1));
+  return Math.round(wait * (1 - Math.random() / 4));
+}
+
+module.exports = {
+  delay,
+  TokenBucket,
+  createPool,
+  retryAfterMs,
+  isTransientError,
+  backoffMs
+};
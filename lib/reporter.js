@@ -0,0 +1,258 @@
+const log = require('./log');
+const { TABLES } = require('./config');
+const { describeError } = require('./airtable');
+const { createProgress, formatBytes, formatDuration } = require('./progress');
+
+// Labels of the progress line for the image batches of a table
+const IMAGE_LABELS = {
+  all: (table) => `Downloading ${table} attachments:`,
+  changed: (table) => `Downloading ${table} attachments of changed records:`,
+  existing: (table) => `Processing attachments from existing ${table} data:`
+};
+
+// Print the added, updated and removed record IDs of a sync
+function printChangelog(tableName, changes) {
+  log.info(`${tableName}: ${changes.added.length} added, ${changes.updated.length} updated, ${changes.removed.length} removed`);
+  changes.added.forEach(id => log.info(`  + ${id}`));
+  changes.updated.forEach(id => log.info(`  ~ ${id}`));
+  changes.removed.forEach(id => log.info(`  - ${id}`));
+}
+
+// Date mismatches and rendition failures printed after processing the images
+const MAX_PRINTED_MISMATCHES = 20;
+
+// Print the images whose capture date differs from the date of their mattress
+function printDateMismatches(mismatches) {
+  if (mismatches.length === 0) {
+    return;
+  }
+  
+  log.warning(`${mismatches.length} images were taken on a different day than their mattress date:`);
+  mismatches.slice(0, MAX_PRINTED_MISMATCHES).forEach(({ path, date, capturedAt }) => {
+    log.warning(`  ${path}: taken ${capturedAt}, mattress date ${date}`);
+  });
+  if (mismatches.length > MAX_PRINTED_MISMATCHES) {
+    log.warning(`  ... and ${mismatches.length - MAX_PRINTED_MISMATCHES} more (metadata.dateMismatch in ${TABLES.MATTRESSES}.json)`);
+  }
+}
+
+// Print the summary of making renditions and the images that couldn't be converted
+function printDerivatives(summary) {
+  if (summary.removed > 0) {
+    log.info(`Removed ${summary.removed} renditions that are no longer used`);
+  }
+  if (summary.failures.length === 0) {
+    return;
+  }
+  
+  log.warning(`${summary.failures.length} renditions couldn't be made:`);
+  summary.failures.slice(0, MAX_PRINTED_MISMATCHES).forEach(({ path, rendition, error }) => {
+    log.warning(`  ${path} (${rendition}): ${error}`);
+  });
+  if (summary.failures.length > MAX_PRINTED_MISMATCHES) {
+    log.warning(`  ... and ${summary.failures.length - MAX_PRINTED_MISMATCHES} more`);
+  }
+}
+
+// Records with images to download printed for a plan; the JSON output has all of them
+const MAX_PRINTED_RECORDS = 20;
+
+// Image counts and bytes of a planned table or record
+function describePlan({ new: added, changed, unchanged, bytes }) {
+  return `${added} new, ${changed} changed, ${unchanged} unchanged images, ${formatBytes(bytes)} to download`;
+}
+
+// Print what a download would transfer per table and the records with images to download
+function printPlan(plan) {
+  log.info(`Plan for ${plan.storage} (nothing was downloaded or written):`);
+  for (const [tableName, table] of Object.entries(plan.tables)) {
+    log.info(`${tableName}: ${table.count} records, ${describePlan(table)}, about ${formatDuration(table.durationMs)}`);
+  }
+  
+  const records = Object.entries(plan.tables).flatMap(([tableName, table]) => (
+    table.records.filter(record => record.new + record.changed > 0).map(record => ({ tableName, ...record }))
+  ));
+  if (records.length > 0) {
+    log.info('Records with images to download:');
+    records.slice(0, MAX_PRINTED_RECORDS).forEach(record => {
+      log.info(`  ${record.tableName}/${record.id}: ${record.new} new, ${record.changed} changed (${formatBytes(record.bytes)})`);
+    });
+    if (records.length > MAX_PRINTED_RECORDS) {
+      log.info(`  ... and ${records.length - MAX_PRINTED_RECORDS} more (--json lists every record)`);
+    }
+  }
+  
+  const { total } = plan;
+  log.success(`${total.new + total.changed} images to download (${formatBytes(total.bytes)}) of ${total.new + total.changed + total.unchanged}, ${total.requests} Airtable requests`);
+  log.success(`Estimated duration: ${formatDuration(total.durationMs)}`);
+}
+
+// Terminal output of a download: subscribes to the events of a downloader (lib/downloader.js)
+// and shows them with ora spinners and one progress line per image batch
+function reportDownload(downloader) {
+  let spinner = null;
+  let progress = null;
+  
+  const startSpinner = (message) => {
+    spinner = log.spinner(message).start();
+  };
+  const endSpinner = (method, message) => {
+    if (spinner) {
+      spinner[method](message);
+      spinner = null;
+    }
+  };
+  
+  // Messages while a progress line is shown go above it
+  const print = (printFn, message) => (progress ? progress.log(printFn, message) : printFn(message));
+  
+  downloader.on('start', ({ config }) => {
+    log.info('╔════════════════════════════════════════════════════════════╗');
+    log.info('║                HORIZONTAL MATTRESS DOWNLOADER              ║');
+    log.info('╚════════════════════════════════════════════════════════════╝');
+    log.info(`Data sizes: Mattresses=${config.SAMPLE_SIZE[TABLES.MATTRESSES] || 'ALL'}, Photographers=${config.SAMPLE_SIZE[TABLES.PHOTOGRAPHER] || 'ALL'}, Locations=${config.SAMPLE_SIZE[TABLES.LOCATION] || 'ALL'}`);
+    log.info(`Base: ${config.BASE_ID}, view: ${config.VIEW}, output: ${config.STORAGE || config.OUTPUT_DIR}`);
+    log.info(`API rate limit: ${config.API_RATE_LIMIT} requests/s, ${config.IMAGE_CONCURRENCY} parallel image downloads`);
+  });
+  
+  downloader.on('plan:start', ({ config }) => {
+    log.info(`Planning a download of base ${config.BASE_ID}, view ${config.VIEW}, into ${config.STORAGE || config.OUTPUT_DIR}`);
+    log.info(`Estimating with ${config.API_RATE_LIMIT} API requests/s, ${config.IMAGE_CONCURRENCY} parallel image downloads${config.IMAGE_RATE_LIMIT ? ` (${config.IMAGE_RATE_LIMIT}/s)` : ''} and ${formatBytes(config.BANDWIDTH)}/s`);
+  });
+  
+  downloader.on('info', ({ message }) => print(log.info, message));
+  downloader.on('warning', ({ message }) => print(log.warning, message));
+  
+  downloader.on('rate-limit', ({ source, wait }) => {
+    const what = source === 'airtable' ? 'Airtable rate limit exceeded' : 'Rate limit exceeded for image download';
+    print(log.warning, `${what}. Waiting ${Math.round(wait / 1000)} seconds before retrying...`);
+  });
+  
+  downloader.on('retry', ({ source, attempt, retries, wait, error }) => {
+    const what = source === 'airtable' ? 'Airtable request' : 'Image download';
+    print(log.warning, `${what} failed (${describeError(error)}). Retry ${attempt} of ${retries} in ${Math.round(wait / 1000)} seconds...`);
+  });
+  
+  downloader.on('filter', ({ description, view }) => log.info(`Downloading mattresses from view "${view}" matching: ${description}`));
+  
+  downloader.on('schema:start', () => startSpinner('Checking access to the schema, tables and fields...'));
+  downloader.on('schema', ({ tables }) => endSpinner('succeed', `Read schema of ${tables} tables; the configured tables, fields and views are readable`));
+  downloader.on('linked', ({ table, count }) => log.success(`Loaded ${count} linked records from ${table}`));
+  
+  downloader.on('fetch:resume', ({ table, records, complete }) => {
+    log.info(complete
+      ? `Using ${records} ${table} records from checkpoint`
+      : `Resuming ${table} from checkpoint with ${records} records already fetched`);
+  });
+  downloader.on('fetch:start', ({ table, offset }) => startSpinner(`Fetching records from ${table}${offset ? ' with offset' : ''}...`));
+  downloader.on('fetch:page', ({ table, count }) => endSpinner('succeed', `Fetched ${count} records from ${table}`));
+  downloader.on('fetch:offset-expired', ({ table }) => endSpinner('warn', `Saved offset for ${table} expired. Fetching the table again from the start...`));
+  
+  downloader.on('table:start', ({ table, sync }) => {
+    if (sync) {
+      log.info(`${table} data already exists. Syncing changes...`);
+    }
+  });
+  downloader.on('table:fetched', ({ table, count, changed }) => {
+    log.success(`Fetched ${count}${changed ? ' changed' : ''} ${table} records, processing...`);
+  });
+  downloader.on('table:done', ({ table, sync, count }) => {
+    log.success(`${sync ? 'Synced' : 'Downloaded'} ${count} ${table} records`);
+  });
+  downloader.on('table:skipped', ({ table, count }) => log.info(`Keeping the ${count} ${table} records of the last sync`));
+  
+  downloader.on('migration:start', () => startSpinner('Renaming images to attachment-ID filenames...'));
+  downloader.on('migration', ({ renamed, missing, discarded }) => {
+    endSpinner('succeed', `Renamed ${renamed} images (${missing} missing, ${discarded} to re-download)`);
+  });
+  
+  downloader.on('images:start', ({ table, records }) => {
+    if (records === 'existing') {
+      log.info(`Checking for missing ${table} attachments...`);
+    }
+    progress = createProgress(IMAGE_LABELS[records](table));
+  });
+  downloader.on('image:queued', ({ count }) => progress && progress.addTotal(count));
+  downloader.on('image:downloaded', ({ bytes }) => progress && progress.downloaded(bytes));
+  downloader.on('image:skipped', () => progress && progress.skipped());
+  downloader.on('image:failed', ({ error }) => {
+    if (progress) progress.failed();
+    print(log.error, error.message);
+  });
+  downloader.on('url-expired', ({ recordId, path, status }) => {
+    print(log.warning, `URL of ${path} for record ${recordId} has expired (${status}). Fetching a fresh one...`);
+  });
+  downloader.on('images:done', ({ present, total }) => {
+    if (progress) progress.finish();
+    progress = null;
+    if (total !== undefined) {
+      log.success(`Attachments processed: ${present}/${total} (${total - present} missing)`);
+    }
+  });
+  
+  downloader.on('export:start', ({ format }) => startSpinner(`Writing ${format} export...`));
+  downloader.on('export', ({ format, files }) => endSpinner('succeed', `Wrote ${format} export: ${files.join(', ')}`));
+  
+  downloader.on('metadata:start', () => startSpinner('Reading image metadata...'));
+  downloader.on('metadata:progress', ({ done, total }) => {
+    if (spinner) spinner.text = `Reading image metadata ${done}/${total}...`;
+  });
+  downloader.on('metadata', (summary) => {
+    endSpinner('succeed', `Read metadata of ${summary.extracted} new images (${summary.withGps} of ${summary.images} images have GPS coordinates)`);
+    if (summary.failed > 0) {
+      log.warning(`${summary.failed} images have no readable metadata`);
+    }
+    printDateMismatches(summary.mismatches);
+  });
+  
+  downloader.on('derivatives:start', () => startSpinner('Making image renditions...'));
+  downloader.on('derivatives:progress', ({ done, total }) => {
+    if (spinner) spinner.text = `Making image renditions ${done}/${total}...`;
+  });
+  downloader.on('derivatives', (summary) => {
+    endSpinner('succeed', `Made ${summary.created} image renditions (${summary.upToDate} up to date)`);
+    printDerivatives(summary);
+  });
+  
+  downloader.on('plan:table', ({ table, count }) => log.success(`Checked the attachments of ${count} ${table} records`));
+  downloader.on('plan', printPlan);
+  
+  downloader.on('snapshot:start', () => startSpinner('Taking snapshot...'));
+  downloader.on('snapshot', ({ name }) => endSpinner('succeed', `Saved snapshot ${name}`));
+  
+  downloader.on('done', (summary) => {
+    log.success('╔════════════════════════════════════════════════════════════╗');
+    log.success('║                    DOWNLOAD COMPLETE!                      ║');
+    log.success('╚════════════════════════════════════════════════════════════╝');
+    log.success(summary.storage === summary.outputDir ? `Data has been saved to the ${summary.outputDir} directory` : `Data has been saved to ${summary.storage}`);
+    log.info(`Total photographers: ${summary.records[TABLES.PHOTOGRAPHER]}`);
+    log.info(`Total locations: ${summary.records[TABLES.LOCATION]}`);
+    log.info(`Total mattresses: ${summary.records[TABLES.MATTRESSES]}`);
+    log.info(`Total images: ${summary.images}`);
+    
+    if (Object.keys(summary.changelog).length > 0) {
+      log.info('Changes since last sync:');
+      for (const [tableName, changes] of Object.entries(summary.changelog)) {
+        printChangelog(tableName, changes);
+      }
+    }
+    
+    if (summary.failedImages.length > 0) {
+      log.warning(`${summary.failedImages.length} images failed to download and will be retried on the next run:`);
+      summary.failedImages.forEach(failure => log.warning(`  ${failure.recordId}/${failure.filename}: ${failure.error}`));
+    }
+  });
+  
+  // The command line prints the error itself; only stop whatever is spinning
+  downloader.on('error', () => {
+    if (progress) progress.finish();
+    progress = null;
+    endSpinner('fail');
+  });
+}
+
+module.exports = {
+  reportDownload,
+  printDateMismatches,
+  printDerivatives
+};
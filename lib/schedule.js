@@ -0,0 +1,108 @@
+const { ConfigError } = require('./errors');
+
+// Fields of a cron expression with their ranges
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+// Shorthands for common schedules
+const ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+// Furthest a schedule looks ahead for its next run, e.g. for "0 0 30 2 *" which never runs
+const MAX_LOOKAHEAD_DAYS = 366 * 5;
+
+// Values of one field: "*", "5", "1-5", "*/15", "0-30/10" and comma-separated lists of these
+function parseField(value, { name, min, max }, expression) {
+  const values = new Set();
+  const invalid = () => new ConfigError(`Invalid ${name} "${value}" in schedule "${expression}". Expected numbers from ${min} to ${max}, ranges, lists or steps like */15`);
+  
+  for (const part of value.split(',')) {
+    const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) {
+      throw invalid();
+    }
+    
+    const [, range, start, end, step] = match;
+    const from = range === '*' ? min : Number(start);
+    const to = range === '*' ? max : (end !== undefined ? Number(end) : (step ? max : from));
+    const by = step ? Number(step) : 1;
+    if (from < min || to > max || from > to || by < 1) {
+      throw invalid();
+    }
+    for (let number = from; number <= to; number += by) {
+      values.add(number);
+    }
+  }
+  
+  return values;
+}
+
+// Parse a cron expression of five fields (minute hour day-of-month month day-of-week) in local
+// time, or one of the ALIASES. As in cron, a day matches when either the day of month or the day
+// of week matches if both are restricted. Returns { expression, next(after) }.
+function parseSchedule(expression) {
+  const fields = (ALIASES[expression.trim()] || expression).trim().split(/\s+/);
+  if (fields.length !== FIELDS.length) {
+    throw new ConfigError(`Invalid schedule "${expression}". Expected five fields (minute hour day-of-month month day-of-week), e.g. "0 */6 * * *", or one of ${Object.keys(ALIASES).join(', ')}`);
+  }
+  
+  const [minutes, hours, days, months, weekdays] = fields.map((field, index) => parseField(field, FIELDS[index], expression));
+  // 7 is Sunday as well as 0
+  if (weekdays.has(7)) {
+    weekdays.add(0);
+  }
+  const anyDay = fields[2] === '*';
+  const anyWeekday = fields[4] === '*';
+  
+  const dayMatches = (date) => {
+    const inMonth = days.has(date.getDate());
+    const inWeek = weekdays.has(date.getDay());
+    if (anyDay || anyWeekday) {
+      return inMonth && inWeek;
+    }
+    return inMonth || inWeek;
+  };
+  
+  return {
+    expression,
+    
+    // First time after the given one the schedule runs, or null if it doesn't within five years
+    next(after = new Date()) {
+      const date = new Date(after.getTime());
+      date.setSeconds(0, 0);
+      date.setMinutes(date.getMinutes() + 1);
+      const limit = after.getTime() + MAX_LOOKAHEAD_DAYS * 24 * 60 * 60 * 1000;
+      
+      // Skip whole months, days and hours that don't match before stepping through the minutes
+      while (date.getTime() <= limit) {
+        if (!months.has(date.getMonth() + 1)) {
+          date.setMonth(date.getMonth() + 1, 1);
+          date.setHours(0, 0, 0, 0);
+        } else if (!dayMatches(date)) {
+          date.setDate(date.getDate() + 1);
+          date.setHours(0, 0, 0, 0);
+        } else if (!hours.has(date.getHours())) {
+          date.setHours(date.getHours() + 1, 0, 0, 0);
+        } else if (!minutes.has(date.getMinutes())) {
+          date.setMinutes(date.getMinutes() + 1, 0, 0);
+        } else {
+          return date;
+        }
+      }
+      return null;
+    }
+  };
+}
+
+module.exports = {
+  parseSchedule
+};
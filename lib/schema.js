@@ -0,0 +1,248 @@
+const { SchemaError } = require('./errors');
+
+// Airtable field types with special handling; every other type is exported as returned by the API
+const FIELD_TYPES = {
+  LINKS: 'multipleRecordLinks',
+  ATTACHMENTS: 'multipleAttachments',
+  CHECKBOX: 'checkbox'
+};
+
+// Field types whose empty value is an empty list rather than null
+const LIST_TYPES = ['multipleSelects', 'multipleCollaborators', 'multipleLookupValues'];
+
+// Fixed keys exported as a single linked record (or null) instead of a list, as older archives did
+const SINGLE_LINK_KEYS = ['location'];
+
+// Levels of links to tables that aren't archived that are expanded when no expandDepth is configured.
+// Links between archived tables stay record IDs then: every archived record is in its own table file.
+const DEFAULT_EXPAND_DEPTH = 1;
+
+// Find a table in the base schema by name or ID
+function findTable(schemaTables, nameOrId) {
+  return schemaTables.find(table => table.name === nameOrId || table.id === nameOrId) || null;
+}
+
+// Fields of a table that are exported: all of them unless the table options include or exclude some.
+// Fields with a fixed key (see FIELD_NAMES in lib/config.js) are always exported.
+function selectFields(table, options = {}, fixedFieldNames = []) {
+  return table.fields.filter(field => {
+    if (fixedFieldNames.includes(field.name)) return true;
+    if (options.include && !options.include.includes(field.name)) return false;
+    if (options.exclude && options.exclude.includes(field.name)) return false;
+    return true;
+  });
+}
+
+// Convert a plain field value. Airtable omits empty fields, so they are filled in with null,
+// false or [] to keep every record's keys the same. Dates, date-times and created/modified
+// times arrive as ISO 8601 strings and are kept that way.
+function convertValue(field, value) {
+  if (field.type === FIELD_TYPES.CHECKBOX) {
+    return Boolean(value);
+  }
+  if (value === undefined || value === null) {
+    return LIST_TYPES.includes(field.type) ? [] : null;
+  }
+  return value;
+}
+
+// Record IDs from a link value in any of its exported forms (ID list, expanded records, single record)
+function linkIds(value) {
+  if (!value) return [];
+  return (Array.isArray(value) ? value : [value]).map(item => (typeof item === 'string' ? item : item.id));
+}
+
+// Attachment metadata as exported for tables whose files aren't downloaded
+function attachmentMetadata(attachment) {
+  return {
+    id: attachment.id,
+    filename: attachment.filename,
+    url: attachment.url,
+    size: attachment.size,
+    type: attachment.type
+  };
+}
+
+// Builds exported records from raw Airtable records, driven by the base schema.
+// tables maps each output table to { name, fieldNames, include, exclude, expandDepth }.
+// Linked records are expanded up to expandDepth levels: records of archived tables are taken from
+// setRecords(), records of other tables from setLinkedRecords(). Without an expandDepth only links
+// to other tables are expanded (DEFAULT_EXPAND_DEPTH).
+function createRecordExporter(schemaTables, tables) {
+  const archived = {};
+  const keyByTableId = {};
+  const records = {};
+  const linked = {};
+  
+  for (const [key, options] of Object.entries(tables)) {
+    const table = findTable(schemaTables, options.name);
+    if (!table) {
+      throw new SchemaError(`Table "${options.name}" (${key}) was not found in the base schema`);
+    }
+    
+    const fieldNames = options.fieldNames || {};
+    const missing = Object.values(fieldNames).filter(name => !table.fields.some(field => field.name === name));
+    if (missing.length > 0) {
+      throw new SchemaError(`Fields ${missing.map(name => `"${name}"`).join(', ')} were not found in table "${table.name}"`);
+    }
+    
+    const fields = selectFields(table, options, Object.values(fieldNames));
+    const keyByFieldName = Object.fromEntries(Object.entries(fieldNames).map(([outKey, name]) => [name, outKey]));
+    
+    // Fixed keys first, in their configured order, then every other field in schema order
+    const fixed = Object.values(fieldNames).map(name => fields.find(field => field.name === name));
+    const columns = [...fixed, ...fields.filter(field => !fixed.includes(field))]
+      .map(field => ({ field, key: keyByFieldName[field.name] || field.name, fixed: field.name in keyByFieldName }));
+    
+    const expandDepth = options.expandDepth === undefined ? null : options.expandDepth;
+    archived[key] = { table, columns, expandDepth };
+    keyByTableId[table.id] = key;
+    records[key] = new Map();
+  }
+  
+  const tableById = (id) => schemaTables.find(table => table.id === id);
+  
+  // ID and name of an archived record, which fixed link keys hold when they aren't expanded
+  const reference = (key, id) => {
+    const record = records[key].get(id);
+    return record && record.name !== undefined ? { id, name: record.name } : { id };
+  };
+  
+  // Export the value of a link column, expanding the linked records to the given depth (null when
+  // no expandDepth is configured)
+  const exportLinks = (column, ids, depth) => {
+    const tableId = column.field.options.linkedTableId;
+    const linkedKey = keyByTableId[tableId];
+    const levels = depth === null ? (linkedKey ? 0 : DEFAULT_EXPAND_DEPTH) : depth;
+    
+    let value = ids;
+    if (levels > 0) {
+      value = ids.map(id => expandRecord(tableId, id, levels - 1));
+    } else if (column.fixed && linkedKey) {
+      // Fixed link keys keep the names, like in older archives
+      value = ids.map(id => reference(linkedKey, id));
+    }
+    
+    if (SINGLE_LINK_KEYS.includes(column.key) && column.fixed) {
+      return value.length > 0 ? value[0] : null;
+    }
+    return value;
+  };
+  
+  const expandRecord = (tableId, id, depth) => {
+    const key = keyByTableId[tableId];
+    if (key) {
+      const record = records[key].get(id);
+      return record ? relink(key, record, depth) : { id };
+    }
+    
+    const raw = linked[tableId] && linked[tableId].get(id);
+    return raw ? exportLinkedRecord(tableById(tableId), raw, depth) : { id };
+  };
+  
+  // Records of tables that aren't archived are exported with all fields and attachment metadata
+  const exportLinkedRecord = (table, raw, depth) => {
+    const exported = { id: raw.id };
+    for (const field of table.fields) {
+      const value = raw.fields[field.name];
+      if (field.type === FIELD_TYPES.LINKS) {
+        exported[field.name] = exportLinks({ field, key: field.name, fixed: false }, linkIds(value), depth);
+      } else if (field.type === FIELD_TYPES.ATTACHMENTS) {
+        exported[field.name] = (value || []).map(attachmentMetadata);
+      } else {
+        exported[field.name] = convertValue(field, value);
+      }
+    }
+    return exported;
+  };
+  
+  // Recompute every link of an exported record from the current records of the linked tables
+  const relink = (key, record, depth = archived[key].expandDepth) => {
+    const relinked = { ...record };
+    for (const column of archived[key].columns) {
+      if (column.field.type === FIELD_TYPES.LINKS) {
+        relinked[column.key] = exportLinks(column, linkIds(record[column.key]), depth);
+      }
+    }
+    return relinked;
+  };
+  
+  return {
+    // Name of the table's primary field, enough to list record IDs cheaply
+    primaryFieldName(key) {
+      const { table } = archived[key];
+      return table.fields.find(field => field.id === table.primaryFieldId).name;
+    },
+    
+    // Summary of the exported columns of every table; changes when fields or the config file change
+    signature() {
+      return JSON.stringify(Object.entries(archived).map(([key, { columns }]) => (
+        [key, columns.map(column => [column.field.id, column.field.type, column.key])]
+      )));
+    },
+    
+    // Attachment columns of a table: the Airtable field and the key it's exported under
+    attachmentColumns(key) {
+      return archived[key].columns.filter(column => column.field.type === FIELD_TYPES.ATTACHMENTS);
+    },
+    
+    // Non-archived tables reachable through links within the expansion depth, which have to be fetched.
+    // Expanded archived records come from their own table, but their links are followed further.
+    linkedTables() {
+      const needed = new Map();
+      const visit = (table, depth, isArchived) => {
+        const fields = isArchived ? archived[keyByTableId[table.id]].columns.map(column => column.field) : table.fields;
+        for (const field of fields) {
+          if (field.type !== FIELD_TYPES.LINKS || depth < 1) continue;
+          const target = tableById(field.options.linkedTableId);
+          if (!target || needed.has(target.id)) continue;
+          if (keyByTableId[target.id]) {
+            visit(target, depth - 1, true);
+            continue;
+          }
+          needed.set(target.id, target);
+          visit(target, depth - 1, false);
+        }
+      };
+      for (const { table, expandDepth } of Object.values(archived)) {
+        visit(table, expandDepth === null ? DEFAULT_EXPAND_DEPTH : expandDepth, true);
+      }
+      return [...needed.values()];
+    },
+    
+    setLinkedRecords(tableId, rawRecords) {
+      linked[tableId] = new Map(rawRecords.map(record => [record.id, record]));
+    },
+    
+    setRecords(key, exportedRecords) {
+      records[key] = new Map(exportedRecords.map(record => [record.id, record]));
+    },
+    
+    // Export a raw record; attachments maps attachment field names to their downloaded entries
+    exportRecord(key, raw, attachments = {}) {
+      const exported = { id: raw.id };
+      for (const column of archived[key].columns) {
+        const value = raw.fields[column.field.name];
+        if (column.field.type === FIELD_TYPES.LINKS) {
+          exported[column.key] = linkIds(value);
+        } else if (column.field.type === FIELD_TYPES.ATTACHMENTS) {
+          exported[column.key] = attachments[column.field.name] || [];
+        } else {
+          exported[column.key] = convertValue(column.field, value);
+        }
+      }
+      return relink(key, exported);
+    },
+    
+    relink
+  };
+}
+
+module.exports = {
+  FIELD_TYPES,
+  findTable,
+  selectFields,
+  convertValue,
+  linkIds,
+  createRecordExporter
+};
@@ -0,0 +1,241 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { TABLES } = require('./config');
+const { isAttachmentList, normaliseType } = require('./attachments');
+const { linkIds } = require('./schema');
+const { displayName } = require('./exporters/csv');
+
+// Static gallery of the archive in <outputDir>/site/. Pages link to the images in the archive with
+// relative paths, so the site works offline from the file system and keeps working when the whole
+// output directory is copied elsewhere.
+const SITE_DIR = 'site';
+
+// Types browsers show in an <img>; other attachments are linked
+const BROWSER_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/avif', 'image/svg+xml'];
+
+// Rendition shown in the grids when the images have one, see lib/derivatives.js
+const THUMBNAIL_RENDITION = 'thumb';
+
+const STYLE = `* { box-sizing: border-box; }
+body { margin: 0; font-family: system-ui, sans-serif; color: #222; background: #fafafa; }
+header { padding: 1rem 2rem; background: #222; }
+header a { color: #fff; margin-right: 1.5rem; text-decoration: none; }
+main { padding: 1rem 2rem 3rem; }
+h1 { font-weight: 600; }
+a { color: #0a58ca; }
+.grid { display: grid; grid-template-columns: repeat(auto-fill, minmax(200px, 1fr)); gap: 1rem; list-style: none; padding: 0; }
+.card { display: block; background: #fff; border: 1px solid #ddd; color: inherit; text-decoration: none; }
+.card img, .card .missing { display: block; width: 100%; aspect-ratio: 4 / 3; object-fit: cover; background: #eee; }
+.card span { display: block; padding: 0.5rem; }
+.missing { display: flex; align-items: center; justify-content: center; color: #888; }
+.images figure { margin: 0 0 2rem; }
+.images img { max-width: 100%; max-height: 80vh; }
+dl { display: grid; grid-template-columns: max-content 1fr; gap: 0.25rem 1rem; }
+dt { font-weight: 600; }
+dd { margin: 0; }
+.index { columns: 3 16rem; }
+`;
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Relative URL from a page to a file, both relative to the output directory
+function relativeUrl(fromPage, target) {
+  const relative = path.relative(path.dirname(fromPage), target);
+  return relative.split(path.sep).map(encodeURIComponent).join('/');
+}
+
+// Page paths relative to the output directory
+const pagePath = {
+  index: () => path.join(SITE_DIR, 'index.html'),
+  mattress: (id) => path.join(SITE_DIR, 'mattresses', `${id}.html`),
+  photographers: () => path.join(SITE_DIR, 'photographers', 'index.html'),
+  photographer: (id) => path.join(SITE_DIR, 'photographers', `${id}.html`),
+  locations: () => path.join(SITE_DIR, 'locations', 'index.html'),
+  location: (id) => path.join(SITE_DIR, 'locations', `${id}.html`)
+};
+
+function renderPage(page, title, body) {
+  const link = (target, label) => `<a href="${relativeUrl(page, target)}">${label}</a>`;
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<link rel="stylesheet" href="${relativeUrl(page, path.join(SITE_DIR, 'style.css'))}">
+</head>
+<body>
+<header>${link(pagePath.index(), 'Mattresses')}${link(pagePath.photographers(), 'Photographers')}${link(pagePath.locations(), 'Locations')}</header>
+<main>
+<h1>${escapeHtml(title)}</h1>
+${body}
+</main>
+</body>
+</html>
+`;
+}
+
+// Downloaded images of a record across its attachment fields
+function recordImages(record) {
+  return Object.values(record).filter(isAttachmentList).flat();
+}
+
+// Whether an image entry has a file a browser can show
+function isViewable(image) {
+  return Boolean(image.sha256) && BROWSER_TYPES.includes(normaliseType(image.type));
+}
+
+// Title of a mattress: its date and location
+function mattressTitle(mattress, names) {
+  const location = linkIds(mattress.location).map(id => names.get(id)).join(', ');
+  return [mattress.date, location].filter(Boolean).join(' · ') || mattress.id;
+}
+
+// Grid of mattress cards linking to their pages, with the first image as thumbnail
+function renderGrid(page, mattresses, names) {
+  if (mattresses.length === 0) {
+    return '<p>No mattresses.</p>';
+  }
+  
+  const cards = mattresses.map((mattress) => {
+    const image = recordImages(mattress).find(isViewable);
+    const thumbnail = image && image.derivatives && image.derivatives[THUMBNAIL_RENDITION];
+    const picture = image
+      ? `<img src="${relativeUrl(page, thumbnail ? thumbnail.path : image.path)}" alt="" loading="lazy">`
+      : '<span class="missing">No image</span>';
+    return `<li><a class="card" href="${relativeUrl(page, pagePath.mattress(mattress.id))}">${picture}<span>${escapeHtml(mattressTitle(mattress, names))}</span></a></li>`;
+  });
+  return `<ul class="grid">\n${cards.join('\n')}\n</ul>`;
+}
+
+// Links to the pages of linked records
+function renderLinks(page, value, names, pageOf) {
+  const links = linkIds(value).map(id => `<a href="${relativeUrl(page, pageOf(id))}">${escapeHtml(names.get(id) || id)}</a>`);
+  return links.join(', ') || '–';
+}
+
+// Plain text of any other field value: linked records by name, lists joined
+function fieldText(value) {
+  if (value === null || value === undefined || value === '') return '';
+  if (Array.isArray(value)) return value.map(fieldText).filter(Boolean).join(', ');
+  if (typeof value === 'object') return 'id' in value ? displayName(value) : JSON.stringify(value);
+  return String(value);
+}
+
+// Other fields of a record as escaped term and value pairs, skipping empty ones and attachments
+function otherFields(record, skip) {
+  return Object.entries(record)
+    .filter(([key, value]) => !skip.includes(key) && !isAttachmentList(value) && fieldText(value))
+    .map(([key, value]) => [escapeHtml(key), escapeHtml(fieldText(value))]);
+}
+
+function renderDetails(details) {
+  if (details.length === 0) {
+    return '';
+  }
+  return `<dl>\n${details.map(([term, value]) => `<dt>${term}</dt><dd>${value}</dd>`).join('\n')}\n</dl>`;
+}
+
+// Page of one mattress with all its images, date, photographers, location and other fields
+function renderMattress(mattress, names) {
+  const page = pagePath.mattress(mattress.id);
+  const details = [
+    ['Date', escapeHtml(mattress.date || '–')],
+    ['Photographers', renderLinks(page, mattress.photographers, names, pagePath.photographer)],
+    ['Location', renderLinks(page, mattress.location, names, pagePath.location)],
+    ...otherFields(mattress, ['id', 'date', 'photographers', 'location'])
+  ];
+  
+  const images = recordImages(mattress).map((image) => {
+    const name = escapeHtml(image.originalFilename || image.filename);
+    if (!image.sha256) {
+      return `<figure><span class="missing">${name} was not downloaded</span></figure>`;
+    }
+    const href = relativeUrl(page, image.path);
+    const content = isViewable(image) ? `<a href="${href}"><img src="${href}" alt="${name}" loading="lazy"></a>` : `<a href="${href}">${name}</a>`;
+    return `<figure>${content}<figcaption>${name}</figcaption></figure>`;
+  });
+  
+  const body = `${renderDetails(details)}
+<section class="images">
+${images.join('\n') || '<p>No images.</p>'}
+</section>`;
+  return renderPage(page, mattressTitle(mattress, names), body);
+}
+
+// List of the photographers or locations with their number of mattresses
+function renderIndex(page, title, records, counts, pageOf) {
+  const items = records.map(record => `<li><a href="${relativeUrl(page, pageOf(record.id))}">${escapeHtml(displayName(record))}</a> (${counts.get(record.id) || 0})</li>`);
+  return renderPage(page, title, `<ul class="index">\n${items.join('\n')}\n</ul>`);
+}
+
+// Write the site for the table data of an archive (as read by readTables): an index grid of all
+// mattresses, a page per mattress and browse pages per photographer and location. The site is
+// built in a temporary directory and replaces the previous one when it's complete.
+// Resolves with the site directory and the number of pages written.
+async function buildSite(outputDir, data) {
+  const siteDir = path.join(outputDir, SITE_DIR);
+  const partialDir = `${siteDir}.part`;
+  await fs.remove(partialDir);
+  
+  const mattresses = [...data[TABLES.MATTRESSES]]
+    .sort((a, b) => String(b.date || '').localeCompare(String(a.date || '')) || a.id.localeCompare(b.id));
+  const byName = (a, b) => displayName(a).localeCompare(displayName(b));
+  const photographers = [...data[TABLES.PHOTOGRAPHER]].sort(byName);
+  const locations = [...data[TABLES.LOCATION]].sort(byName);
+  const names = new Map([...photographers, ...locations].map(record => [record.id, displayName(record)]));
+  
+  // Mattresses of each photographer and location
+  const linked = (key) => {
+    const groups = new Map();
+    for (const mattress of mattresses) {
+      for (const id of linkIds(mattress[key])) {
+        if (!groups.has(id)) {
+          groups.set(id, []);
+        }
+        groups.get(id).push(mattress);
+      }
+    }
+    return groups;
+  };
+  const byPhotographer = linked('photographers');
+  const byLocation = linked('location');
+  const counts = (groups) => new Map([...groups].map(([id, list]) => [id, list.length]));
+  
+  const pages = new Map([
+    [pagePath.index(), renderPage(pagePath.index(), 'Mattresses', renderGrid(pagePath.index(), mattresses, names))],
+    [pagePath.photographers(), renderIndex(pagePath.photographers(), 'Photographers', photographers, counts(byPhotographer), pagePath.photographer)],
+    [pagePath.locations(), renderIndex(pagePath.locations(), 'Locations', locations, counts(byLocation), pagePath.location)]
+  ]);
+  for (const mattress of mattresses) {
+    pages.set(pagePath.mattress(mattress.id), renderMattress(mattress, names));
+  }
+  for (const [records, groups, pageOf] of [[photographers, byPhotographer, pagePath.photographer], [locations, byLocation, pagePath.location]]) {
+    for (const record of records) {
+      const page = pageOf(record.id);
+      const body = `${renderDetails(otherFields(record, ['id', 'name']))}\n${renderGrid(page, groups.get(record.id) || [], names)}`;
+      pages.set(page, renderPage(page, displayName(record), body));
+    }
+  }
+  
+  // Pages are written with their path relative to the site directory
+  for (const [page, html] of pages) {
+    await fs.outputFile(path.join(partialDir, path.relative(SITE_DIR, page)), html);
+  }
+  await fs.outputFile(path.join(partialDir, 'style.css'), STYLE);
+  
+  await fs.remove(siteDir);
+  await fs.move(partialDir, siteDir);
+  return { dir: siteDir, pages: pages.size };
+}
+
+module.exports = {
+  SITE_DIR,
+  buildSite
+};
@@ -0,0 +1,130 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { IMAGES_DIR, TABLES_DIR, readTables } = require('./archive');
+const { COMBINED_FILE } = require('./exporters/json');
+const { ConfigError } = require('./errors');
+
+// Snapshots of the archive, one per run, in <outputDir>/snapshots/<timestamp>/. Each one holds
+// the table files, mattresses-data.json and the images as hard links, so unchanged images
+// share their data with the archive and the other snapshots. A snapshot is an archive itself:
+// --out data/snapshots/<name> works with the export and verify commands.
+const SNAPSHOTS_DIR = 'snapshots';
+const SNAPSHOT_FILE = 'snapshot.json';
+
+// Snapshot name for a time, e.g. 2024-05-01T12-30-00Z; sorts in time order and is a valid filename
+function snapshotName(date) {
+  return date.toISOString().replace(/\.\d+Z$/, 'Z').replace(/:/g, '-');
+}
+
+// Hard link every file of a directory tree into another one, copying files that can't be linked
+// (e.g. on file systems without hard links)
+function linkTree(source, target) {
+  fs.ensureDirSync(target);
+  
+  for (const entry of fs.readdirSync(source, { withFileTypes: true })) {
+    const from = path.join(source, entry.name);
+    const to = path.join(target, entry.name);
+    
+    if (entry.isDirectory()) {
+      linkTree(from, to);
+    } else if (entry.isFile() && !entry.name.endsWith('.part')) {
+      try {
+        fs.linkSync(from, to);
+      } catch (error) {
+        fs.copySync(from, to);
+      }
+    }
+  }
+}
+
+// Keep the current state of an archive as a new snapshot and return its name and path
+function createSnapshot(outputDir, { createdAt = new Date() } = {}) {
+  const data = readTables(outputDir);
+  if (!data) {
+    throw new ConfigError(`No archive found in ${outputDir} to take a snapshot of`);
+  }
+  
+  // Two runs within the same second get numbered names
+  const baseName = snapshotName(createdAt);
+  let name = baseName;
+  for (let index = 2; fs.existsSync(path.join(outputDir, SNAPSHOTS_DIR, name)); index++) {
+    name = `${baseName}-${index}`;
+  }
+  
+  // Written to a temporary directory first so a snapshot is either complete or missing
+  const snapshotPath = path.join(outputDir, SNAPSHOTS_DIR, name);
+  const partialPath = `${snapshotPath}.part`;
+  fs.removeSync(partialPath);
+  
+  fs.copySync(path.join(outputDir, TABLES_DIR), path.join(partialPath, TABLES_DIR));
+  if (fs.existsSync(path.join(outputDir, COMBINED_FILE))) {
+    fs.copySync(path.join(outputDir, COMBINED_FILE), path.join(partialPath, COMBINED_FILE));
+  }
+  if (fs.existsSync(path.join(outputDir, IMAGES_DIR))) {
+    linkTree(path.join(outputDir, IMAGES_DIR), path.join(partialPath, IMAGES_DIR));
+  }
+  
+  fs.writeJsonSync(path.join(partialPath, SNAPSHOT_FILE), {
+    createdAt: createdAt.toISOString(),
+    records: Object.fromEntries(Object.entries(data).map(([tableName, records]) => [tableName, records.length]))
+  }, { spaces: 2 });
+  fs.moveSync(partialPath, snapshotPath);
+  
+  return { name, path: snapshotPath };
+}
+
+// Snapshots of an archive, oldest first
+function listSnapshots(outputDir) {
+  const dir = path.join(outputDir, SNAPSHOTS_DIR);
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  
+  return fs.readdirSync(dir)
+    .filter(name => fs.existsSync(path.join(dir, name, SNAPSHOT_FILE)))
+    .sort()
+    .map(name => ({ name, path: path.join(dir, name), ...fs.readJsonSync(path.join(dir, name, SNAPSHOT_FILE)) }));
+}
+
+// Find a snapshot by name, by a prefix that matches only one snapshot (e.g. 2024-05-01),
+// or as "latest" or "previous"
+function findSnapshot(outputDir, reference) {
+  const snapshots = listSnapshots(outputDir);
+  const relative = { latest: 1, previous: 2 }[reference];
+  
+  if (relative) {
+    const snapshot = snapshots[snapshots.length - relative];
+    if (!snapshot) {
+      throw new ConfigError(`There is no ${reference} snapshot in ${path.join(outputDir, SNAPSHOTS_DIR)}`);
+    }
+    return snapshot;
+  }
+  
+  const exact = snapshots.find(snapshot => snapshot.name === reference);
+  if (exact) {
+    return exact;
+  }
+  
+  const matches = snapshots.filter(snapshot => snapshot.name.startsWith(reference));
+  if (matches.length === 1) {
+    return matches[0];
+  }
+  if (matches.length > 1) {
+    throw new ConfigError(`"${reference}" matches ${matches.length} snapshots: ${matches.map(snapshot => snapshot.name).join(', ')}`);
+  }
+  throw new ConfigError(`No snapshot "${reference}" in ${path.join(outputDir, SNAPSHOTS_DIR)}`);
+}
+
+// Table data of a snapshot
+function readSnapshot(snapshot) {
+  return readTables(snapshot.path);
+}
+
+module.exports = {
+  SNAPSHOTS_DIR,
+  SNAPSHOT_FILE,
+  createSnapshot,
+  listSnapshots,
+  findSnapshot,
+  readSnapshot
+};
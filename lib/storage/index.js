@@ -0,0 +1,39 @@
+const { ConfigError } = require('../errors');
+const { createLocalStorage } = require('./local');
+const { createS3Storage } = require('./s3');
+
+// Where the downloader keeps an archive's images, table files and sync state. Keys are paths
+// relative to the archive, like images/<recordId>/<attachmentId>.jpg or tables/location.json.
+// A storage has a type, a location for messages and these functions:
+//   stat(key)                       { size } of a stored file, or null if it's missing
+//   checksum(key)                   its SHA-256 checksum, or null if the storage can't tell cheaply
+//   writeStream(key, stream, { size })  store a stream; a file is either complete or missing
+//   readJson(key), writeJson(key, data)  table files and sync state; readJson resolves with null if missing
+//   uploadFile(key, filePath)       store a file from the local disk
+//   list(key), remove(key)          names directly below a key; remove a file or everything below a key
+//   localPath(key)                  path of the file on the local disk, or null
+
+// Parse a storage URL like s3://bucket/prefix
+function parseStorageUrl(value) {
+  const match = /^s3:\/\/([^/]+)\/?(.*)$/.exec(String(value).trim());
+  if (!match) {
+    throw new ConfigError(`Invalid storage "${value}". Expected s3://<bucket>/<prefix>, e.g. s3://mattress-archive/data`);
+  }
+  return { type: 's3', bucket: match[1], prefix: match[2].replace(/\/+$/, '') };
+}
+
+// Storage of an archive: the output directory, or the bucket of the STORAGE URL with the
+// S3_ENDPOINT and S3_REGION of the configuration
+function createStorage(config) {
+  if (!config.STORAGE) {
+    return createLocalStorage(config.OUTPUT_DIR);
+  }
+  
+  const { bucket, prefix } = parseStorageUrl(config.STORAGE);
+  return createS3Storage({ bucket, prefix, endpoint: config.S3_ENDPOINT, region: config.S3_REGION });
+}
+
+module.exports = {
+  parseStorageUrl,
+  createStorage
+};
@@ -0,0 +1,65 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { sha256File } = require('../attachments');
+
+// Files that don't exist answer with null instead of failing
+function orNull(error) {
+  if (error.code === 'ENOENT') {
+    return null;
+  }
+  throw error;
+}
+
+// Archive in a directory on the local disk
+function createLocalStorage(dir) {
+  const filePath = key => path.join(dir, ...key.split('/'));
+  
+  return {
+    type: 'local',
+    location: dir,
+    
+    // Path of a key on the local disk
+    localPath: filePath,
+    
+    async stat(key) {
+      const stats = await fs.stat(filePath(key)).catch(orNull);
+      return stats && stats.isFile() ? { size: stats.size } : null;
+    },
+    
+    checksum: key => sha256File(filePath(key)),
+    
+    // Written to a temporary file first, so a file is either complete or missing
+    async writeStream(key, stream) {
+      const target = filePath(key);
+      const partialPath = `${target}.part`;
+      await fs.ensureDir(path.dirname(target));
+      try {
+        await pipeline(stream, fs.createWriteStream(partialPath));
+      } catch (error) {
+        await fs.remove(partialPath);
+        throw error;
+      }
+      await fs.move(partialPath, target, { overwrite: true });
+    },
+    
+    readJson: key => fs.readJson(filePath(key)).catch(orNull),
+    
+    writeJson: (key, data) => fs.outputJson(filePath(key), data, { spaces: 2 }),
+    
+    // Files written by the exporters are in the output directory already
+    async uploadFile(key, source) {
+      if (path.resolve(source) !== path.resolve(filePath(key))) {
+        await fs.copy(source, filePath(key));
+      }
+    },
+    
+    list: async prefix => (await fs.readdir(filePath(prefix)).catch(orNull)) || [],
+    
+    remove: key => fs.remove(filePath(key))
+  };
+}
+
+module.exports = {
+  createLocalStorage
+};
@@ -0,0 +1,125 @@
+const fs = require('fs-extra');
+const path = require('path');
+const {
+  S3Client, HeadObjectCommand, GetObjectCommand, PutObjectCommand, ListObjectsV2Command, DeleteObjectsCommand
+} = require('@aws-sdk/client-s3');
+const { MIME_EXTENSIONS } = require('../attachments');
+
+// Content types of the stored files by extension, sent along so the objects can be served as they are
+const CONTENT_TYPES = Object.fromEntries(Object.entries(MIME_EXTENSIONS).reverse().map(([type, extension]) => [extension, type]));
+
+// DeleteObjects takes at most 1000 keys per request
+const DELETE_BATCH = 1000;
+
+// Missing objects answer with null instead of failing
+function orNull(error) {
+  if (error.name === 'NotFound' || error.name === 'NoSuchKey' || (error.$metadata && error.$metadata.httpStatusCode === 404)) {
+    return null;
+  }
+  throw error;
+}
+
+function contentType(key) {
+  const extension = path.posix.extname(key).toLowerCase();
+  return extension === '.json' ? 'application/json' : (CONTENT_TYPES[extension] || 'application/octet-stream');
+}
+
+// Archive in an S3 bucket or an S3-compatible service (MinIO, Cloudflare R2, ...) given with an
+// endpoint. Keys are stored below the prefix. Credentials come from the AWS SDK's usual sources,
+// e.g. AWS_ACCESS_KEY_ID and AWS_SECRET_ACCESS_KEY.
+function createS3Storage({ bucket, prefix = '', endpoint = null, region = 'us-east-1' }) {
+  const client = new S3Client({
+    region,
+    // Other services than AWS are addressed as <endpoint>/<bucket> rather than by subdomain
+    ...(endpoint ? { endpoint, forcePathStyle: true } : {}),
+    // Not every S3-compatible service accepts the checksums newer SDK versions add to every upload
+    requestChecksumCalculation: 'WHEN_REQUIRED',
+    responseChecksumValidation: 'WHEN_REQUIRED'
+  });
+  const objectKey = key => (prefix ? `${prefix}/${key}` : key);
+  
+  // Keys of all objects below a key (as a folder), relative to it
+  const listKeys = async (key) => {
+    const folder = `${objectKey(key)}/`;
+    const keys = [];
+    let ContinuationToken;
+    do {
+      const page = await client.send(new ListObjectsV2Command({ Bucket: bucket, Prefix: folder, ContinuationToken }));
+      (page.Contents || []).forEach(object => keys.push(object.Key.slice(folder.length)));
+      ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+    } while (ContinuationToken);
+    return keys;
+  };
+  
+  const put = (key, body, size) => client.send(new PutObjectCommand({
+    Bucket: bucket,
+    Key: objectKey(key),
+    Body: body,
+    ContentLength: size,
+    ContentType: contentType(key)
+  }));
+  
+  return {
+    type: 's3',
+    location: `s3://${bucket}${prefix ? `/${prefix}` : ''}`,
+    
+    // Objects aren't on the local disk
+    localPath: () => null,
+    
+    async stat(key) {
+      const head = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: objectKey(key) })).catch(orNull);
+      return head && { size: head.ContentLength };
+    },
+    
+    // Reading an object back to hash it would cost as much as downloading the attachment again
+    checksum: async () => null,
+    
+    // Streamed straight to the bucket when the size is known; an object only appears once it's
+    // completely uploaded
+    async writeStream(key, stream, { size = null } = {}) {
+      if (size !== null) {
+        await put(key, stream, size);
+        return;
+      }
+      const chunks = [];
+      for await (const chunk of stream) {
+        chunks.push(chunk);
+      }
+      const body = Buffer.concat(chunks);
+      await put(key, body, body.length);
+    },
+    
+    async readJson(key) {
+      const object = await client.send(new GetObjectCommand({ Bucket: bucket, Key: objectKey(key) })).catch(orNull);
+      return object && JSON.parse(await object.Body.transformToString('utf8'));
+    },
+    
+    async writeJson(key, data) {
+      const body = Buffer.from(JSON.stringify(data, null, 2), 'utf8');
+      await put(key, body, body.length);
+    },
+    
+    async uploadFile(key, source) {
+      const { size } = await fs.stat(source);
+      await put(key, fs.createReadStream(source), size);
+    },
+    
+    // Names of the objects directly below a key
+    list: async key => [...new Set((await listKeys(key)).map(name => name.split('/')[0]))],
+    
+    // Remove an object or every object below a key
+    async remove(key) {
+      const keys = [objectKey(key), ...(await listKeys(key)).map(name => `${objectKey(key)}/${name}`)];
+      for (let start = 0; start < keys.length; start += DELETE_BATCH) {
+        await client.send(new DeleteObjectsCommand({
+          Bucket: bucket,
+          Delete: { Objects: keys.slice(start, start + DELETE_BATCH).map(Key => ({ Key })), Quiet: true }
+        }));
+      }
+    }
+  };
+}
+
+module.exports = {
+  createS3Storage
+};
@@ -0,0 +1,194 @@
+const fs = require('fs-extra');
+const path = require('path');
+const sharp = require('sharp');
+const { TABLES } = require('./config');
+const { IMAGES_DIR } = require('./archive');
+const {
+  MIME_EXTENSIONS, DECODABLE_TYPES, normaliseType, sha256File, detectType, readHeader, isAttachmentList
+} = require('./attachments');
+const { linkIds } = require('./schema');
+const { createPool } = require('./rate-limit');
+
+// Report written next to the tables by the verify command
+const REPORT_FILE = 'verify-report.json';
+
+// Kinds of problems in the report
+const PROBLEMS = {
+  MISSING_FILE: 'missing-file',               // Attachment entry without a file
+  NOT_DOWNLOADED: 'not-downloaded',           // Download failed, the entry has no checksum
+  SIZE_MISMATCH: 'size-mismatch',             // File size differs from the attachment size
+  CHECKSUM_MISMATCH: 'checksum-mismatch',     // File content differs from the recorded sha256
+  WRONG_TYPE: 'wrong-type',                   // Magic bytes don't match the attachment's MIME type
+  UNDECODABLE: 'undecodable',                 // Image can't be decoded (truncated or corrupt)
+  ORPHANED_FOLDER: 'orphaned-folder',         // Image folder of a record that no longer exists
+  STRAY_FILE: 'stray-file',                   // File in a record folder that no entry refers to
+  MISSING_PHOTOGRAPHER: 'missing-photographer',
+  MISSING_LOCATION: 'missing-location'
+};
+
+// Decode the whole image so truncated or corrupt data fails
+async function decodes(filePath) {
+  try {
+    await sharp(filePath, { failOn: 'truncated' }).stats();
+    return { ok: true };
+  } catch (error) {
+    return { ok: false, message: error.message };
+  }
+}
+
+// Check one attachment entry against its file and resolve with the problems found
+async function verifyAttachment(outputDir, tableName, record, image, decode) {
+  const problem = (type, message) => ({
+    type, table: tableName, recordId: record.id, attachmentId: image.id, path: image.path, message
+  });
+  const filePath = path.join(outputDir, image.path);
+  
+  if (!fs.existsSync(filePath)) {
+    return [image.sha256
+      ? problem(PROBLEMS.MISSING_FILE, 'File is missing')
+      : problem(PROBLEMS.NOT_DOWNLOADED, 'Download failed and the file is missing')];
+  }
+  
+  const problems = [];
+  const { size } = await fs.stat(filePath);
+  if (image.size !== undefined && image.size !== null && size !== image.size) {
+    problems.push(problem(PROBLEMS.SIZE_MISMATCH, `File has ${size} bytes, attachment has ${image.size}`));
+  }
+  
+  if (!image.sha256) {
+    problems.push(problem(PROBLEMS.NOT_DOWNLOADED, 'No checksum recorded, the download failed'));
+  } else {
+    const sha256 = await sha256File(filePath);
+    if (sha256 !== image.sha256) {
+      problems.push(problem(PROBLEMS.CHECKSUM_MISMATCH, `sha256 is ${sha256}, expected ${image.sha256}`));
+    }
+  }
+  
+  const expected = normaliseType(image.type);
+  const detected = normaliseType(detectType(await readHeader(filePath)));
+  if (MIME_EXTENSIONS[expected] && detected !== expected) {
+    problems.push(problem(PROBLEMS.WRONG_TYPE, `Content is ${detected || 'not a recognised file type'}, attachment is ${expected}`));
+  }
+  
+  // Types sharp can't decode only get the magic byte check
+  if (decode && DECODABLE_TYPES.includes(detected)) {
+    const result = await decodes(filePath);
+    if (!result.ok) {
+      problems.push(problem(PROBLEMS.UNDECODABLE, result.message));
+    }
+  }
+  
+  return problems;
+}
+
+// Image folders of records that don't exist, and files that no attachment entry refers to
+async function findUnreferencedFiles(outputDir, data) {
+  const imagesDir = path.join(outputDir, IMAGES_DIR);
+  if (!fs.existsSync(imagesDir)) {
+    return [];
+  }
+  
+  const recordIds = new Set();
+  const referenced = new Set();
+  for (const records of Object.values(data)) {
+    for (const record of records) {
+      recordIds.add(record.id);
+      Object.values(record).filter(isAttachmentList).flat().forEach(image => referenced.add(path.normalize(image.path)));
+    }
+  }
+  
+  const problems = [];
+  for (const folder of await fs.readdir(imagesDir)) {
+    const folderPath = path.join(IMAGES_DIR, folder);
+    
+    if (!recordIds.has(folder)) {
+      problems.push({ type: PROBLEMS.ORPHANED_FOLDER, recordId: folder, path: folderPath, message: 'No record with this ID exists' });
+      continue;
+    }
+    
+    for (const file of await fs.readdir(path.join(outputDir, folderPath))) {
+      const filePath = path.join(folderPath, file);
+      if (!referenced.has(path.normalize(filePath))) {
+        problems.push({ type: PROBLEMS.STRAY_FILE, recordId: folder, path: filePath, message: 'No attachment entry refers to this file' });
+      }
+    }
+  }
+  
+  return problems;
+}
+
+// Photographers and locations linked from mattresses that are missing from their tables
+function findMissingLinks(data) {
+  const photographerIds = new Set(data[TABLES.PHOTOGRAPHER].map(record => record.id));
+  const locationIds = new Set(data[TABLES.LOCATION].map(record => record.id));
+  const problems = [];
+  
+  for (const mattress of data[TABLES.MATTRESSES]) {
+    const problem = (type, id, message) => ({ type, table: TABLES.MATTRESSES, recordId: mattress.id, linkedId: id, message });
+    
+    for (const id of linkIds(mattress.photographers)) {
+      if (!photographerIds.has(id)) {
+        problems.push(problem(PROBLEMS.MISSING_PHOTOGRAPHER, id, `Photographer ${id} is not in ${TABLES.PHOTOGRAPHER}.json`));
+      }
+    }
+    for (const id of linkIds(mattress.location)) {
+      if (!locationIds.has(id)) {
+        problems.push(problem(PROBLEMS.MISSING_LOCATION, id, `Location ${id} is not in ${TABLES.LOCATION}.json`));
+      }
+    }
+  }
+  
+  return problems;
+}
+
+// Verify a downloaded archive: every attachment file against its entry (existence, size, checksum,
+// magic bytes and, with decode, that the image decodes), unreferenced image folders and files,
+// and the links between the tables. Resolves with the report.
+async function verifyArchive(outputDir, data, { decode = true, concurrency = 4, onProgress = () => {} } = {}) {
+  const attachments = [];
+  for (const [tableName, records] of Object.entries(data)) {
+    for (const record of records) {
+      Object.values(record).filter(isAttachmentList).flat().forEach(image => attachments.push({ tableName, record, image }));
+    }
+  }
+  
+  const pool = createPool(concurrency);
+  let checked = 0;
+  const attachmentProblems = await Promise.all(attachments.map(({ tableName, record, image }) => pool.run(async () => {
+    const problems = await verifyAttachment(outputDir, tableName, record, image, decode);
+    onProgress(++checked, attachments.length);
+    return problems;
+  })));
+  
+  const problems = [
+    ...attachmentProblems.flat(),
+    ...await findUnreferencedFiles(outputDir, data),
+    ...findMissingLinks(data)
+  ];
+  
+  const byType = {};
+  problems.forEach(problem => {
+    byType[problem.type] = (byType[problem.type] || 0) + 1;
+  });
+  
+  const failedAttachments = attachmentProblems.filter(list => list.length > 0).length;
+  
+  return {
+    verifiedAt: new Date().toISOString(),
+    decoded: decode,
+    summary: {
+      records: Object.values(data).reduce((total, records) => total + records.length, 0),
+      attachments: attachments.length,
+      attachmentsOk: attachments.length - failedAttachments,
+      problems: problems.length,
+      byType
+    },
+    problems
+  };
+}
+
+module.exports = {
+  REPORT_FILE,
+  PROBLEMS,
+  verifyArchive
+};
@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { TABLES } = require('./config');
+
+// Cursor of every webhook's payload list, so a restarted watch doesn't read old payloads again
+const CURSORS_FILE = 'webhook-cursors.json';
+
+// Header with the HMAC of a notification body, keyed with the webhook's macSecretBase64
+const MAC_HEADER = 'x-airtable-content-mac';
+
+// Whether a notification body was signed with the webhook's MAC secret
+function verifySignature(body, header, secretBase64) {
+  const expected = `hmac-sha256=${crypto.createHmac('sha256', Buffer.from(secretBase64, 'base64')).update(body).digest('hex')}`;
+  const actual = String(header || '');
+  return actual.length === expected.length && crypto.timingSafeEqual(Buffer.from(actual), Buffer.from(expected));
+}
+
+// Base and webhook ID of a notification like { "base": { "id": "app..." }, "webhook": { "id": "ach..." }, "timestamp": "..." },
+// or null if the body isn't one
+function parseNotification(body) {
+  let data;
+  try {
+    data = JSON.parse(body);
+  } catch (error) {
+    return null;
+  }
+  if (!data || !data.base || !data.webhook || typeof data.base.id !== 'string' || typeof data.webhook.id !== 'string') {
+    return null;
+  }
+  return { baseId: data.base.id, webhookId: data.webhook.id, timestamp: data.timestamp || null };
+}
+
+function readCursors(outputDir) {
+  const filePath = path.join(outputDir, CURSORS_FILE);
+  return fs.existsSync(filePath) ? fs.readJsonSync(filePath) : {};
+}
+
+// IDs of the Airtable tables changed in the payloads of a webhook since its stored cursor.
+// Notifications don't say what changed, so the payloads are read from the API; the new cursor
+// is stored afterwards.
+async function readChangedTables(client, outputDir, webhookId) {
+  const cursors = readCursors(outputDir);
+  const tableIds = new Set();
+  let cursor = cursors[webhookId] || null;
+  
+  for (;;) {
+    const page = await client.listWebhookPayloads(webhookId, cursor);
+    for (const payload of page.payloads || []) {
+      Object.keys(payload.changedTablesById || {}).forEach(id => tableIds.add(id));
+      Object.keys(payload.createdTablesById || {}).forEach(id => tableIds.add(id));
+      (payload.destroyedTableIds || []).forEach(id => tableIds.add(id));
+    }
+    cursor = page.cursor;
+    if (!page.mightHaveMore) {
+      break;
+    }
+  }
+  
+  fs.outputJsonSync(path.join(outputDir, CURSORS_FILE), { ...cursors, [webhookId]: cursor }, { spaces: 2 });
+  return [...tableIds];
+}
+
+// Archive tables (keys of TABLES) for changed Airtable table IDs, given the base schema and the
+// configured table names. Returns null when another table changed: its records may be embedded
+// as linked records anywhere, so everything is synced.
+function archiveTablesFor(tableIds, schemaTables, tableNames) {
+  const tables = new Set();
+  
+  for (const id of tableIds) {
+    const schemaTable = schemaTables.find(table => table.id === id);
+    const tableName = schemaTable && Object.values(TABLES).find(name => [schemaTable.name, schemaTable.id].includes(tableNames[name]));
+    if (!tableName) {
+      return null;
+    }
+    tables.add(tableName);
+  }
+  
+  return [...tables];
+}
+
+module.exports = {
+  CURSORS_FILE,
+  MAC_HEADER,
+  verifySignature,
+  parseNotification,
+  readChangedTables,
+  archiveTablesFor
+};
@@ -0,0 +1,52 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { tablePath, readTableRecords, streamTables } = require('../lib/archive');
+
+async function collect(records) {
+  const collected = [];
+  for await (const record of records) {
+    collected.push(record);
+  }
+  return collected;
+}
+
+function withArchive(tables, fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mattress-archive-'));
+  for (const [tableName, content] of Object.entries(tables)) {
+    fs.outputFileSync(tablePath(dir, tableName), content);
+  }
+  return fn(dir).finally(() => fs.removeSync(dir));
+}
+
+const RECORDS = [
+  { id: 'rec1', name: 'Line\nbreak', images: [{ id: 'att1', metadata: { gps: { lat: 1 } } }] },
+  { id: 'rec2', name: '  }', images: [] }
+];
+
+test('table records are read one at a time from a pretty-printed table file', () => withArchive({
+  allMatresses: JSON.stringify(RECORDS, null, 2)
+}, async (dir) => {
+  assert.deepStrictEqual(await collect(readTableRecords(dir, 'allMatresses')), RECORDS);
+}));
+
+test('empty and compact table files are parsed as a whole', () => withArchive({
+  photographer: '[]',
+  location: JSON.stringify(RECORDS)
+}, async (dir) => {
+  assert.deepStrictEqual(await collect(readTableRecords(dir, 'photographer')), []);
+  assert.deepStrictEqual(await collect(readTableRecords(dir, 'location')), RECORDS);
+}));
+
+test('streamed tables can be read more than once', () => withArchive({
+  allMatresses: JSON.stringify(RECORDS, null, 2),
+  photographer: '[]',
+  location: '[]'
+}, async (dir) => {
+  const tables = streamTables(dir);
+  assert.strictEqual((await collect(tables.allMatresses)).length, 2);
+  assert.strictEqual((await collect(tables.allMatresses)).length, 2);
+  assert.strictEqual(streamTables(path.join(dir, 'missing')), null);
+}));
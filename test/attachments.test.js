@@ -0,0 +1,29 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { attachmentFilename, sha256File } = require('../lib/attachments');
+
+test('attachments are named by ID with the extension of their type', () => {
+  assert.strictEqual(attachmentFilename({ id: 'att1', type: 'image/jpeg', filename: 'IMG_1.JPEG' }), 'att1.jpg');
+  assert.strictEqual(attachmentFilename({ id: 'att2', type: 'image/png', filename: 'scan.jpg' }), 'att2.png');
+});
+
+test('unknown types keep the extension of the uploaded file', () => {
+  assert.strictEqual(attachmentFilename({ id: 'att1', type: 'video/quicktime', filename: 'clip.MOV' }), 'att1.mov');
+  assert.strictEqual(attachmentFilename({ id: 'att2', type: null, filename: 'notes' }), 'att2.bin');
+});
+
+test('the checksum of a file is its SHA-256', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mattress-archive-'));
+  try {
+    const filePath = path.join(dir, 'file.jpg');
+    fs.writeFileSync(filePath, 'mattress');
+    const expected = crypto.createHash('sha256').update('mattress').digest('hex');
+    assert.strictEqual(await sha256File(filePath), expected);
+  } finally {
+    fs.removeSync(dir);
+  }
+});
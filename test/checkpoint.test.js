@@ -0,0 +1,64 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { createCheckpoint } = require('../lib/checkpoint');
+
+function withOutputDir(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mattress-archive-'));
+  return Promise.resolve(fn(dir)).finally(() => fs.removeSync(dir));
+}
+
+test('fetched pages and their offset survive a restart', () => withOutputDir((dir) => {
+  const first = createCheckpoint(dir);
+  const startedAt = first.open();
+  first.savePage('allMatresses', [{ id: 'rec1' }, { id: 'rec2' }], 'offset2');
+  
+  // A new process opens the same checkpoint
+  const second = createCheckpoint(dir);
+  assert.ok(second.exists());
+  assert.strictEqual(second.open(), startedAt, 'a resumed run keeps the start time');
+  assert.deepStrictEqual(second.pagination('allMatresses'), {
+    offset: 'offset2',
+    complete: false,
+    records: [{ id: 'rec1' }, { id: 'rec2' }]
+  });
+  
+  second.savePage('allMatresses', [{ id: 'rec3' }], null);
+  assert.strictEqual(second.pagination('allMatresses').complete, true);
+  assert.strictEqual(second.pagination('allMatresses').records.length, 3);
+  assert.strictEqual(second.pagination('photographer'), null);
+}));
+
+test('records with failed images stay unprocessed', () => withOutputDir((dir) => {
+  const checkpoint = createCheckpoint(dir);
+  checkpoint.open();
+  checkpoint.markProcessed({ id: 'rec1', images: [] }, []);
+  checkpoint.markProcessed({ id: 'rec2', images: [] }, [{ recordId: 'rec2', attachmentId: 'att1', error: 'timeout' }]);
+  
+  const resumed = createCheckpoint(dir);
+  resumed.open();
+  assert.deepStrictEqual(resumed.processedRecord('rec1'), { id: 'rec1', images: [] });
+  assert.strictEqual(resumed.processedRecord('rec2'), null);
+  assert.strictEqual(resumed.failedImages().length, 1);
+}));
+
+test('a half-written journal line is skipped', () => withOutputDir((dir) => {
+  const checkpoint = createCheckpoint(dir);
+  checkpoint.open();
+  checkpoint.markProcessed({ id: 'rec1' }, []);
+  fs.appendFileSync(path.join(dir, 'checkpoint', 'processed.ndjson'), '{"id":"rec2","ima');
+  
+  const resumed = createCheckpoint(dir);
+  resumed.open();
+  assert.deepStrictEqual(resumed.processedRecord('rec1'), { id: 'rec1' });
+}));
+
+test('clearing removes the checkpoint', () => withOutputDir((dir) => {
+  const checkpoint = createCheckpoint(dir);
+  checkpoint.open();
+  checkpoint.clear();
+  assert.ok(!checkpoint.exists());
+  assert.ok(!fs.existsSync(path.join(dir, 'checkpoint')));
+}));
@@ -0,0 +1,47 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { defaultConfig, loadConfigFile, applyProfile } = require('../lib/config');
+
+// Load a config file with the given contents
+function load(contents) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mattress-archive-'));
+  const filePath = path.join(dir, 'archive.config.json');
+  fs.writeJsonSync(filePath, contents);
+  try {
+    return loadConfigFile(filePath);
+  } finally {
+    fs.removeSync(dir);
+  }
+}
+
+test('a profile sets the base, token, output directory and tables', () => {
+  const { PROFILES } = load({
+    tables: { allMatresses: { exclude: ['notes'] } },
+    profiles: {
+      berlin: { baseId: 'appBerlin', tokenEnv: 'BERLIN_API_KEY', tables: { photographer: { name: 'Photographers' } } },
+      paris: { baseId: 'appParis', outputDir: 'archives/paris' }
+    }
+  });
+  assert.deepStrictEqual(Object.keys(PROFILES), ['berlin', 'paris']);
+  assert.strictEqual(PROFILES.berlin.outputDir, 'data-berlin');
+  assert.strictEqual(PROFILES.paris.tokenEnv, 'BASE_API_KEY');
+  
+  const config = applyProfile(defaultConfig(), PROFILES.berlin, { BERLIN_API_KEY: 'berlin-token' });
+  assert.strictEqual(config.BASE_ID, 'appBerlin');
+  assert.strictEqual(config.API_KEY, 'berlin-token');
+  assert.strictEqual(config.OUTPUT_DIR, 'data-berlin');
+  assert.strictEqual(config.TABLE_NAMES.photographer, 'Photographers');
+  assert.strictEqual(config.TABLE_NAMES.allMatresses, 'allMatresses');
+});
+
+test('invalid profiles are rejected', () => {
+  assert.throws(() => load({ profiles: { 'berlin mitte': { baseId: 'appBerlin' } } }), { name: 'ConfigError', message: /Invalid profile name "berlin mitte"/ });
+  assert.throws(() => load({ profiles: { berlin: {} } }), /profiles\.berlin\.baseId .* must be the ID of an Airtable base/);
+  assert.throws(
+    () => load({ profiles: { berlin: { baseId: 'appBerlin', outputDir: 'data' }, paris: { baseId: 'appParis', outputDir: 'data' } } }),
+    /Several profiles .* use the output directory/
+  );
+});
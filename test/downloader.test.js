@@ -0,0 +1,352 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { createDownloader } = require('../lib/downloader');
+const { createMockServer } = require('../lib/mock-server');
+const { readTables } = require('../lib/archive');
+const { ConfigError, ArchiveError } = require('../lib/errors');
+
+test('the library can be required and configured without side effects', () => {
+  const library = require('..');
+  assert.strictEqual(library.createDownloader, createDownloader);
+  assert.strictEqual(library.ConfigError, ConfigError);
+  
+  const dir = path.join(os.tmpdir(), `mattress-archive-${process.pid}-unused`);
+  const downloader = createDownloader({ BASE_ID: 'appX', API_KEY: 'test', OUTPUT_DIR: dir });
+  assert.strictEqual(typeof downloader.run, 'function');
+  assert.strictEqual(downloader.config.OUTPUT_DIR, dir);
+  assert.ok(!fs.existsSync(dir), 'nothing is written before run()');
+});
+
+test('invalid options throw a ConfigError', () => {
+  assert.throws(() => createDownloader({ BASE_ID: '', API_KEY: '' }), (error) => (
+    error instanceof ConfigError && error instanceof ArchiveError && error.code === 'CONFIG_ERROR'
+  ));
+  assert.throws(
+    () => createDownloader({ BASE_ID: 'appX', API_KEY: 'test', FORMATS: ['json', 'xml'] }),
+    { name: 'ConfigError', message: /Unknown output format "xml"/ }
+  );
+});
+
+// Recording of a small base: 7 mattresses in pages of 3 with 2 images each, photographers,
+// locations and a tags table that isn't archived
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'sample');
+const IMAGE_COUNT = 14;
+
+// Events the tests look at
+const EVENTS = [
+  'info', 'table:fetched', 'images:start', 'retry', 'rate-limit', 'url-expired', 'image:downloaded', 'image:failed', 'fetch:start', 'fetch:resume'
+];
+
+// Replay the recording with the given faults into a new output directory. Resolves with the
+// downloader's events by name, the archive directory, the port and the result of run().
+// options are passed on to the downloader; setup is called with the mock server before the
+// run, e.g. to edit records.
+async function replay({ faults = {}, seed = 1, outputDir = null, port = 0, options = {}, setup = () => {}, onEvent = () => {} } = {}) {
+  const server = createMockServer(FIXTURE_DIR, { faults, seed });
+  setup(server);
+  const apiUrl = await server.listen(port);
+  const dir = outputDir || fs.mkdtempSync(path.join(os.tmpdir(), 'mattress-archive-'));
+  const events = {};
+  
+  const downloader = createDownloader({
+    BASE_ID: server.baseId,
+    API_KEY: 'test',
+    API_URL: apiUrl,
+    OUTPUT_DIR: dir,
+    API_RATE_LIMIT: null,
+    RETRY_DELAY: 10,
+    METADATA: false,
+    DERIVATIVES: false,
+    ...options
+  });
+  for (const event of EVENTS) {
+    events[event] = [];
+    downloader.on(event, (payload) => {
+      events[event].push(payload);
+      onEvent(event, payload);
+    });
+  }
+  
+  try {
+    const result = await downloader.run();
+    return { dir, events, port: new URL(apiUrl).port, result };
+  } catch (error) {
+    return { dir, events, port: new URL(apiUrl).port, error };
+  } finally {
+    await server.close();
+  }
+}
+
+function imageFiles(dir) {
+  const imagesDir = path.join(dir, 'images');
+  return fs.readdirSync(imagesDir).flatMap(recordId => fs.readdirSync(path.join(imagesDir, recordId)));
+}
+
+function lastSyncTime(dir) {
+  return fs.readJsonSync(path.join(dir, 'sync-state.json')).lastSyncTime;
+}
+
+// Records fetched per table by the run, in fetch order
+function fetchedCounts(events) {
+  return Object.fromEntries(events['table:fetched'].map(fetched => [fetched.table, fetched.count]));
+}
+
+test('a recorded base is replayed into a complete archive', async () => {
+  const { dir, events, error } = await replay();
+  try {
+    assert.ifError(error);
+    assert.strictEqual(events['image:downloaded'].length, IMAGE_COUNT);
+    assert.strictEqual(imageFiles(dir).length, IMAGE_COUNT);
+    
+    const data = readTables(dir);
+    assert.strictEqual(data.allMatresses.length, 7);
+    assert.ok(data.allMatresses.every(mattress => mattress.photographers.every(photographer => photographer.name)));
+  } finally {
+    fs.removeSync(dir);
+  }
+});
+
+test('server errors and dropped downloads are retried', async () => {
+  const { dir, events, error } = await replay({ faults: { '5xx': 0.3, truncate: 0.2 }, seed: 4 });
+  try {
+    assert.ifError(error);
+    assert.ok(events.retry.length > 0, 'some requests were retried');
+    assert.ok(events.retry.some(retry => retry.source === 'airtable'));
+    assert.ok(events.retry.some(retry => retry.source === 'attachments'));
+    assert.strictEqual(events['image:failed'].length, 0);
+    assert.strictEqual(imageFiles(dir).length, IMAGE_COUNT);
+  } finally {
+    fs.removeSync(dir);
+  }
+});
+
+test('downloads that keep getting rate limited fail instead of retrying forever', async () => {
+  const { dir, events, error, result } = await replay({ faults: { '429-attachments': 1 } });
+  try {
+    assert.ifError(error);
+    assert.strictEqual(events['rate-limit'].length, IMAGE_COUNT * 5);
+    assert.strictEqual(events['image:failed'].length, IMAGE_COUNT);
+    assert.strictEqual(result.failedImages.length, IMAGE_COUNT);
+  } finally {
+    fs.removeSync(dir);
+  }
+});
+
+test('only tables with attachment fields report image downloads', async () => {
+  const { dir, events, error } = await replay();
+  try {
+    assert.ifError(error);
+    assert.deepStrictEqual(events['images:start'], [{ table: 'allMatresses', records: 'all' }]);
+  } finally {
+    fs.removeSync(dir);
+  }
+});
+
+test('expired attachment URLs are fetched again from the record', async () => {
+  const { dir, events, error } = await replay({ faults: { expired: 1 } });
+  try {
+    assert.ifError(error);
+    assert.strictEqual(events['url-expired'].length, IMAGE_COUNT);
+    assert.strictEqual(events['image:downloaded'].length, IMAGE_COUNT);
+    
+    // The table files keep the fresh URLs of the single record requests
+    const data = readTables(dir);
+    const urls = data.allMatresses.flatMap(mattress => mattress.images.map(image => image.url));
+    assert.ok(urls.every(url => url.includes('issued=record')), 'every stored URL is a fresh one');
+  } finally {
+    fs.removeSync(dir);
+  }
+});
+
+test('an interrupted run resumes from its checkpoint', async () => {
+  // Stop the first run when it asks for the second page of mattresses
+  const interrupted = await replay({
+    onEvent: (event, payload) => {
+      if (event === 'fetch:start' && payload.table === 'allMatresses' && payload.offset) {
+        throw new Error('interrupted');
+      }
+    }
+  });
+  const { dir } = interrupted;
+  try {
+    assert.strictEqual(interrupted.error.message, 'interrupted');
+    assert.ok(fs.existsSync(path.join(dir, 'checkpoint')), 'the checkpoint is kept');
+    
+    // The same port keeps the attachment URLs of the checkpoint working
+    const { events, error } = await replay({ outputDir: dir, port: interrupted.port });
+    assert.ifError(error);
+    assert.deepStrictEqual(
+      events['fetch:resume'].find(resume => resume.table === 'allMatresses'),
+      { table: 'allMatresses', records: 3, complete: false }
+    );
+    assert.strictEqual(readTables(dir).allMatresses.length, 7);
+    assert.strictEqual(imageFiles(dir).length, IMAGE_COUNT);
+    assert.ok(!fs.existsSync(path.join(dir, 'checkpoint')), 'the checkpoint is removed after a complete run');
+  } finally {
+    fs.removeSync(dir);
+  }
+});
+
+test('a second run only fetches the records changed since the first', async () => {
+  const first = await replay();
+  const { dir } = first;
+  try {
+    assert.ifError(first.error);
+    const firstSync = lastSyncTime(dir);
+    assert.ok(firstSync, 'the first run saves its start time');
+    
+    const { events, error, result } = await replay({ outputDir: dir });
+    assert.ifError(error);
+    assert.deepStrictEqual(fetchedCounts(events), { photographer: 0, location: 0, allMatresses: 0 });
+    assert.strictEqual(events['image:downloaded'].length, 0);
+    assert.deepStrictEqual(result.changelog.allMatresses, { added: [], updated: [], removed: [] });
+    assert.strictEqual(readTables(dir).allMatresses.length, 7);
+    assert.ok(lastSyncTime(dir) > firstSync, 'the next run starts from the second one');
+  } finally {
+    fs.removeSync(dir);
+  }
+});
+
+test('a second run doesn\'t read the stored images again', async (t) => {
+  const { dir, port } = await replay();
+  const imagesDir = path.join(dir, 'images');
+  try {
+    const reads = t.mock.method(fs, 'createReadStream');
+    const imageReads = () => reads.mock.calls.filter(call => String(call.arguments[0]).startsWith(imagesDir)).length;
+    
+    // An image of the wrong size is downloaded again, from the URL stored by the first run
+    fs.truncateSync(path.join(imagesDir, 'recM1', 'att1a.jpg'), 10);
+    const second = await replay({ outputDir: dir, port });
+    assert.ifError(second.error);
+    assert.strictEqual(imageReads(), 0);
+    assert.deepStrictEqual(second.events['image:downloaded'].map(download => download.attachmentId), ['att1a']);
+    
+    const verified = await replay({ outputDir: dir, options: { VERIFY_IMAGES: true } });
+    assert.ifError(verified.error);
+    assert.strictEqual(imageReads(), IMAGE_COUNT, 'every image is hashed when verifying');
+    assert.strictEqual(verified.events['image:downloaded'].length, 0);
+  } finally {
+    fs.removeSync(dir);
+  }
+});
+
+test('changed and deleted records are merged into the archive', async () => {
+  const { dir } = await replay();
+  try {
+    const { events, error, result } = await replay({
+      outputDir: dir,
+      setup: (server) => {
+        server.updateRecord('recM2', { notes: 'edited' });
+        server.deleteRecord('recM3');
+      }
+    });
+    assert.ifError(error);
+    assert.strictEqual(fetchedCounts(events).allMatresses, 1);
+    assert.deepStrictEqual(result.changelog.allMatresses, { added: [], updated: ['recM2'], removed: ['recM3'] });
+    
+    const mattresses = readTables(dir).allMatresses;
+    assert.deepStrictEqual(mattresses.map(mattress => mattress.id), ['recM1', 'recM2', 'recM4', 'recM5', 'recM6', 'recM7']);
+    assert.strictEqual(mattresses[1].notes, 'edited');
+    assert.ok(!fs.existsSync(path.join(dir, 'images', 'recM3')), 'the images of deleted records are removed');
+    assert.strictEqual(imageFiles(dir).length, IMAGE_COUNT - 2);
+  } finally {
+    fs.removeSync(dir);
+  }
+});
+
+test('a changed field selection fetches every record again', async () => {
+  const { dir } = await replay();
+  try {
+    const { events, error } = await replay({ outputDir: dir, options: { TABLE_OPTIONS: { allMatresses: { exclude: ['notes'] } } } });
+    assert.ifError(error);
+    assert.ok(events.info.some(info => info.message.startsWith('The exported fields changed')));
+    assert.deepStrictEqual(fetchedCounts(events), { photographer: 3, location: 2, allMatresses: 7 });
+    assert.ok(readTables(dir).allMatresses.every(mattress => !('notes' in mattress)));
+    assert.strictEqual(events['image:downloaded'].length, 0, 'the stored images are kept');
+  } finally {
+    fs.removeSync(dir);
+  }
+});
+
+test('dropping the download filter fetches every record again', async () => {
+  const filtered = await replay({ options: { FILTER: { from: '2023-05' } } });
+  const { dir } = filtered;
+  try {
+    assert.ifError(filtered.error);
+    assert.deepStrictEqual(readTables(dir).allMatresses.map(mattress => mattress.date), ['2023-05-14', '2023-06-15', '2023-07-16', '2023-08-17']);
+    
+    const { events, error } = await replay({ outputDir: dir });
+    assert.ifError(error);
+    assert.ok(events.info.some(info => info.message.startsWith('The download filter changed')));
+    assert.strictEqual(fetchedCounts(events).allMatresses, 7);
+    assert.strictEqual(readTables(dir).allMatresses.length, 7);
+    assert.strictEqual(imageFiles(dir).length, IMAGE_COUNT);
+  } finally {
+    fs.removeSync(dir);
+  }
+});
+
+// Plan a run of the recording into the given output directory; setup is called with the mock
+// server before the plan
+async function plan(outputDir, setup = () => {}) {
+  const server = createMockServer(FIXTURE_DIR);
+  setup(server);
+  const apiUrl = await server.listen();
+  try {
+    const downloader = createDownloader({
+      BASE_ID: server.baseId,
+      API_KEY: 'test',
+      API_URL: apiUrl,
+      OUTPUT_DIR: outputDir
+    });
+    return await downloader.plan();
+  } finally {
+    await server.close();
+  }
+}
+
+test('a plan counts the images of a first run without writing anything', async () => {
+  const dir = path.join(os.tmpdir(), `mattress-archive-${process.pid}-plan`);
+  try {
+    const { tables, total } = await plan(dir);
+    assert.deepStrictEqual(
+      { new: total.new, changed: total.changed, unchanged: total.unchanged, bytes: total.bytes },
+      { new: IMAGE_COUNT, changed: 0, unchanged: 0, bytes: IMAGE_COUNT * 278 }
+    );
+    assert.strictEqual(tables.allMatresses.records.length, 7);
+    assert.ok(total.requests > 0 && total.durationMs > 0);
+    assert.ok(!fs.existsSync(dir), 'nothing is written');
+  } finally {
+    fs.removeSync(dir);
+  }
+});
+
+test('a plan of an existing archive counts its images as unchanged', async () => {
+  const { dir, error } = await replay();
+  try {
+    assert.ifError(error);
+    const { tables, total } = await plan(dir);
+    assert.deepStrictEqual([total.new, total.changed, total.unchanged], [0, 0, IMAGE_COUNT]);
+    // Like a second run, the plan only fetches the records changed since the first
+    assert.deepStrictEqual(Object.values(tables).map(table => table.fetched), [0, 0, 0]);
+    assert.strictEqual(total.records, 3 + 2 + 7);
+  } finally {
+    fs.removeSync(dir);
+  }
+});
+
+test('a plan of an existing archive fetches the changed records', async () => {
+  const { dir, error } = await replay();
+  try {
+    assert.ifError(error);
+    const { tables, total } = await plan(dir, (server) => server.updateRecord('recM2', { notes: 'Edited' }));
+    assert.strictEqual(tables.allMatresses.fetched, 1);
+    assert.strictEqual(tables.allMatresses.count, 7);
+    assert.deepStrictEqual([total.new, total.changed, total.unchanged], [0, 0, IMAGE_COUNT]);
+  } finally {
+    fs.removeSync(dir);
+  }
+});
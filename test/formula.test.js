@@ -0,0 +1,37 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createFormulaFilter } = require('../lib/formula');
+const { combineFormulas, namesFormula, linkedFormula, dateFormula } = require('../lib/filter');
+
+// Record context with the given field values, last modified at the given time
+function record(fields, lastModified = '2024-01-01T00:00:00.000Z') {
+  return { field: name => fields[name], lastModifiedTime: () => lastModified };
+}
+
+test('the formulas of the download filter are evaluated', () => {
+  const dates = createFormulaFilter(dateFormula('date', { from: '2023-05-01', to: '2023-06-30' }));
+  assert.ok(dates(record({ date: '2023-05-14' })));
+  assert.ok(!dates(record({ date: '2023-07-16' })));
+  assert.ok(!dates(record({})), 'mattresses without a date are outside a date range');
+  
+  const names = createFormulaFilter(namesFormula('photographerName', ['jane doe', 'Max']));
+  assert.ok(names(record({ photographerName: ' Jane Doe ' })));
+  assert.ok(!names(record({ photographerName: 'Maxine' })));
+  
+  const linked = createFormulaFilter(linkedFormula('photographer', ['Jane Doe']));
+  assert.ok(linked(record({ photographer: ['Max', 'Jane Doe'] })));
+  assert.ok(!linked(record({ photographer: ['Jane'] })));
+});
+
+test('records modified since a sync are matched', () => {
+  const since = createFormulaFilter(combineFormulas('{done} = 1', "IS_AFTER(LAST_MODIFIED_TIME(), '2024-01-01T00:00:00.000Z')"));
+  assert.ok(since(record({ done: 1 }, '2024-01-02T08:00:00.000Z')));
+  assert.ok(!since(record({ done: 1 })));
+  assert.ok(!since(record({ done: 0 }, '2024-01-02T08:00:00.000Z')));
+});
+
+test('formulas that can\'t be evaluated are rejected', () => {
+  assert.throws(() => createFormulaFilter('REGEX_MATCH({notes}, "x")'), /Unsupported function REGEX_MATCH\(\)/);
+  assert.throws(() => createFormulaFilter("AND({a}, 'b'"), /Expected "," in formula/);
+  assert.throws(() => createFormulaFilter("{a} = 'b"), /Unterminated string/);
+});
@@ -0,0 +1,55 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { addImageMetadata, isDateMismatch } = require('../lib/metadata');
+const { buildGeoJson } = require('../lib/exporters/geojson');
+
+// A small JPEG from the replay recording, read in place
+const OUTPUT_DIR = path.join(__dirname, 'fixtures', 'sample');
+const IMAGE = { id: 'att1a', filename: 'att1a.jpg', path: 'attachments/att1a', type: 'image/jpeg', sha256: 'abc' };
+
+test('images whose metadata failed are read again', async () => {
+  const mattress = { id: 'rec1', date: '2023-02-11', images: [{ ...IMAGE, metadata: { error: 'Unexpected end of file' } }] };
+  const summary = await addImageMetadata(OUTPUT_DIR, [mattress]);
+  
+  assert.strictEqual(summary.extracted, 1);
+  assert.strictEqual(mattress.images[0].metadata.error, undefined);
+  assert.strictEqual(mattress.images[0].metadata.width, 45);
+});
+
+test('images with metadata keep it unless forced', async () => {
+  const metadata = { width: 1, height: 1, capturedAt: null };
+  const mattress = { id: 'rec1', date: '2023-02-11', images: [{ ...IMAGE, metadata }] };
+  
+  assert.strictEqual((await addImageMetadata(OUTPUT_DIR, [mattress])).extracted, 0);
+  assert.strictEqual(mattress.images[0].metadata.width, 1);
+  assert.strictEqual((await addImageMetadata(OUTPUT_DIR, [mattress], { force: true })).extracted, 1);
+  assert.strictEqual(mattress.images[0].metadata.width, 45);
+});
+
+test('capture days are compared with the mattress date', async () => {
+  assert.strictEqual(isDateMismatch('2023-02-11', '2023-02-11T23:59:00+01:00'), false);
+  assert.strictEqual(isDateMismatch('2023-02-11', '2023-02-12T00:01:00'), true);
+  assert.strictEqual(isDateMismatch(null, '2023-02-12T00:01:00'), null);
+  
+  const metadata = { width: 1, height: 1, capturedAt: '2023-02-12T08:00:00' };
+  const mattress = { id: 'rec1', date: '2023-02-11', images: [{ ...IMAGE, metadata }] };
+  const summary = await addImageMetadata(OUTPUT_DIR, [mattress]);
+  assert.strictEqual(mattress.images[0].metadata.dateMismatch, true);
+  assert.deepStrictEqual(summary.mismatches.map(mismatch => mismatch.attachmentId), ['att1a']);
+});
+
+test('photos with GPS coordinates are grouped by location', () => {
+  const gps = (latitude, longitude) => ({ ...IMAGE, metadata: { capturedAt: null, gps: { latitude, longitude } } });
+  const collection = buildGeoJson({
+    location: [{ id: 'recL1', name: 'Berlin' }],
+    allMatresses: [
+      { id: 'rec1', date: '2023-02-11', location: { id: 'recL1', name: 'Berlin' }, images: [gps(52.5, 13.4), gps(52.6, 13.5)] },
+      { id: 'rec2', date: null, location: null, images: [gps(48.1, 11.6), { ...IMAGE, metadata: { gps: null } }] }
+    ]
+  });
+  
+  assert.deepStrictEqual(collection.features.map(feature => [feature.id, feature.properties.photoCount]), [['recL1', 2], [null, 1]]);
+  assert.deepStrictEqual(collection.features[0].geometry.coordinates, [[13.4, 52.5], [13.5, 52.6]]);
+  assert.strictEqual(collection.features[0].properties.locationName, 'Berlin');
+});
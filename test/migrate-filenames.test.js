@@ -0,0 +1,60 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { needsFilenameMigration, migrateImageFilenames } = require('../lib/migrate-filenames');
+
+// Legacy archive with one mattress whose images are named 1.jpg, 2.jpg, ...; images without
+// content have no file
+async function migrate(images) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mattress-archive-'));
+  try {
+    const mattress = {
+      id: 'rec1',
+      images: images.map(({ content, ...image }, index) => {
+        const imagePath = `images/rec1/${index + 1}.jpg`;
+        if (content !== undefined) {
+          fs.outputFileSync(path.join(dir, imagePath), content);
+        }
+        return { ...image, filename: `${index + 1}.jpg`, path: imagePath, type: 'image/jpeg', originalFilename: 'photo.jpg' };
+      })
+    };
+    const result = await migrateImageFilenames([mattress], dir);
+    const files = fs.readdirSync(path.join(dir, 'images', 'rec1')).sort();
+    return { result, files, mattress };
+  } finally {
+    fs.removeSync(dir);
+  }
+}
+
+test('archives with position-based filenames need the migration', () => {
+  assert.ok(needsFilenameMigration([{ images: [{ filename: '1.jpg' }] }]));
+  assert.ok(!needsFilenameMigration([{ images: [{ filename: 'att1.jpg' }] }, { images: [] }]));
+});
+
+test('legacy images matching the recorded size are renamed, others discarded', async () => {
+  const { result, files, mattress } = await migrate([
+    { id: 'att1', size: 4, content: 'abcd' },
+    { id: 'att2', size: 400, content: 'abcd' },
+    { id: 'att3', size: 4 }
+  ]);
+  assert.deepStrictEqual(result, { renamed: 1, missing: 1, discarded: 1 });
+  assert.deepStrictEqual(files, ['att1.jpg']);
+  assert.deepStrictEqual(mattress.images.map(image => image.path), [
+    path.join('images', 'rec1', 'att1.jpg'),
+    path.join('images', 'rec1', 'att2.jpg'),
+    path.join('images', 'rec1', 'att3.jpg')
+  ]);
+  assert.ok(mattress.images[0].sha256, 'renamed images get a checksum');
+});
+
+test('legacy images without a recorded size are kept', async () => {
+  const { result, files, mattress } = await migrate([
+    { id: 'att1', size: 0, content: 'abcd' },
+    { id: 'att2', content: 'abcd' }
+  ]);
+  assert.deepStrictEqual(result, { renamed: 2, missing: 0, discarded: 0 });
+  assert.deepStrictEqual(files, ['att1.jpg', 'att2.jpg']);
+  assert.ok(mattress.images.every(image => image.sha256), 'renamed images get a checksum');
+});
@@ -0,0 +1,57 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { defaultConfig } = require('../lib/config');
+const { AirtableError } = require('../lib/errors');
+const { PROBLEMS, runPreflight, preflightError } = require('../lib/preflight');
+
+const SCHEMA = [
+  {
+    id: 'tblMattresses',
+    name: 'allMatresses',
+    fields: ['date', 'photographer', 'location', 'images'].map(name => ({ id: `fld${name}`, name }))
+  },
+  { id: 'tblPhotographers', name: 'photographer', fields: [{ id: 'fldName', name: 'photographerName' }] }
+];
+
+// Airtable client answering with the schema above; records of the given tables fail with the given error
+function fakeAirtable(failing = {}) {
+  return {
+    listTables: async () => SCHEMA,
+    listRecords: async (name) => {
+      if (failing[name]) {
+        throw failing[name];
+      }
+      return [];
+    }
+  };
+}
+
+test('missing tables and views are reported as schema problems', async () => {
+  const viewMissing = new AirtableError('Could not find view', { status: 422, type: 'VIEW_NAME_NOT_FOUND' });
+  const { tables, problems } = await runPreflight(fakeAirtable({ photographer: viewMissing }), defaultConfig());
+  
+  assert.deepStrictEqual(problems.map(problem => [problem.type, problem.table]), [
+    [PROBLEMS.MISSING_VIEW, 'photographer'],
+    [PROBLEMS.MISSING_TABLE, 'location']
+  ]);
+  assert.strictEqual(tables.allMatresses.readable, true);
+  assert.strictEqual(tables.allMatresses.id, 'tblMattresses');
+  assert.strictEqual(preflightError(problems).name, 'SchemaError');
+});
+
+test('a token without access is reported as an access problem', async () => {
+  const forbidden = new AirtableError('Forbidden', { status: 403 });
+  const airtable = { ...fakeAirtable({ allMatresses: forbidden }), listTables: async () => { throw forbidden; } };
+  const { schemaTables, problems } = await runPreflight(airtable, defaultConfig());
+  
+  assert.strictEqual(schemaTables, null);
+  assert.deepStrictEqual(problems.map(problem => problem.type), [PROBLEMS.NO_SCHEMA_ACCESS, PROBLEMS.NO_RECORD_ACCESS]);
+  const error = preflightError(problems);
+  assert.strictEqual(error.name, 'AirtableError');
+  assert.strictEqual(error.status, 403);
+});
+
+test('other failures stop the preflight', async () => {
+  const airtable = { ...fakeAirtable(), listTables: async () => { throw new Error('socket hang up'); } };
+  await assert.rejects(runPreflight(airtable, defaultConfig()), /socket hang up/);
+});
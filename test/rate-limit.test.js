@@ -0,0 +1,90 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { TokenBucket, createPool, retryAfterMs, isTransientError, backoffMs } = require('../lib/rate-limit');
+
+test('a bucket allows a burst up to its rate, then refills', async () => {
+  const bucket = new TokenBucket({ rate: 5 });
+  const startedAt = Date.now();
+  for (let i = 0; i < 5; i++) {
+    await bucket.take();
+  }
+  assert.ok(Date.now() - startedAt < 100, 'the burst is there right away');
+  
+  await bucket.take();
+  const waited = Date.now() - startedAt;
+  // One token takes 200 ms at 5 per second
+  assert.ok(waited >= 150 && waited < 1000, `waited ${waited} ms for a token at 5/s`);
+});
+
+test('a bucket without a rate never waits', async () => {
+  const bucket = new TokenBucket({ rate: null });
+  const startedAt = Date.now();
+  await Promise.all(Array.from({ length: 50 }, () => bucket.take()));
+  assert.ok(Date.now() - startedAt < 100);
+});
+
+test('a pause holds back every caller', async () => {
+  const bucket = new TokenBucket({ rate: null });
+  bucket.pause(200);
+  const startedAt = Date.now();
+  await Promise.all([bucket.take(), bucket.take()]);
+  assert.ok(Date.now() - startedAt >= 150);
+});
+
+test('a pool runs at most its concurrency at the same time', async () => {
+  const pool = createPool(2);
+  let active = 0;
+  let highest = 0;
+  await Promise.all(Array.from({ length: 6 }, () => pool.run(async () => {
+    active++;
+    highest = Math.max(highest, active);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    active--;
+  })));
+  assert.strictEqual(highest, 2);
+});
+
+test('a failing task rejects without stopping the pool', async () => {
+  const pool = createPool(1);
+  await assert.rejects(pool.run(async () => { throw new Error('broken'); }), /broken/);
+  assert.strictEqual(await pool.run(async () => 'next'), 'next');
+});
+
+test('Retry-After is read as seconds or a date', () => {
+  assert.strictEqual(retryAfterMs({ 'retry-after': '3' }, 30000), 3000);
+  assert.strictEqual(retryAfterMs({}, 30000), 30000);
+  assert.strictEqual(retryAfterMs({ 'retry-after': 'soon' }, 500), 500);
+});
+
+test('a bucket below one token per second still grants tokens', async () => {
+  // --delay 3000 turns into a third of a request per second
+  const bucket = new TokenBucket({ rate: 1 / 3 });
+  assert.strictEqual(bucket.capacity, 1);
+  
+  const startedAt = Date.now();
+  await bucket.take();
+  assert.ok(Date.now() - startedAt < 100, 'the first token is there right away');
+});
+
+test('a fractional rate refills at that rate', async () => {
+  const bucket = new TokenBucket({ rate: 5 / 2 });
+  await bucket.take();
+  await bucket.take();
+  
+  const startedAt = Date.now();
+  await bucket.take();
+  const waited = Date.now() - startedAt;
+  // Half a token was left, the other half takes 200 ms at 2.5 per second
+  assert.ok(waited >= 150 && waited < 1000, `waited ${waited} ms for a token at 2.5/s`);
+});
+
+test('server errors and network failures are retried with a growing wait', () => {
+  assert.ok(isTransientError({ response: { status: 503 } }));
+  assert.ok(isTransientError({ code: 'ECONNRESET' }));
+  assert.ok(!isTransientError({ response: { status: 404 } }));
+  assert.ok(!isTransientError(new Error('disk full')));
+  
+  const third = backoffMs(3, 1000);
+  assert.ok(third > 3000 && third <= 4000, `waits ${third} ms before the third retry`);
+  assert.ok(backoffMs(10, 1000, 30000) <= 30000);
+});
@@ -0,0 +1,170 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createRecordExporter } = require('../lib/schema');
+
+// Base with mattresses and photographers linked both ways, and mattresses linked to a camera
+// table that isn't archived
+const SCHEMA = [
+  {
+    id: 'tblMattresses',
+    name: 'allMatresses',
+    primaryFieldId: 'fldTitle',
+    fields: [
+      { id: 'fldTitle', name: 'title', type: 'singleLineText' },
+      { id: 'fldPhotographer', name: 'photographer', type: 'multipleRecordLinks', options: { linkedTableId: 'tblPhotographers' } },
+      { id: 'fldCamera', name: 'camera', type: 'multipleRecordLinks', options: { linkedTableId: 'tblCameras' } },
+      { id: 'fldImages', name: 'images', type: 'multipleAttachments' },
+      { id: 'fldSold', name: 'sold', type: 'checkbox' },
+      { id: 'fldColors', name: 'colors', type: 'multipleSelects' },
+      { id: 'fldNotes', name: 'notes', type: 'multilineText' }
+    ]
+  },
+  {
+    id: 'tblPhotographers',
+    name: 'photographer',
+    primaryFieldId: 'fldName',
+    fields: [
+      { id: 'fldName', name: 'photographerName', type: 'singleLineText' },
+      { id: 'fldMattresses', name: 'allMatresses', type: 'multipleRecordLinks', options: { linkedTableId: 'tblMattresses' } }
+    ]
+  },
+  {
+    id: 'tblCameras',
+    name: 'cameras',
+    primaryFieldId: 'fldModel',
+    fields: [{ id: 'fldModel', name: 'model', type: 'singleLineText' }]
+  }
+];
+
+const MATTRESS_FIELDS = { photographers: 'photographer', images: 'images' };
+
+test('empty fields are filled in so every record has the same keys', () => {
+  const exporter = createRecordExporter(SCHEMA, {
+    allMatresses: { name: 'allMatresses', fieldNames: MATTRESS_FIELDS, expandDepth: 1 }
+  });
+  const mattress = exporter.exportRecord('allMatresses', { id: 'recMattress', fields: { title: 'Blue' } });
+  // Fixed keys first, then every other field in schema order
+  assert.deepStrictEqual(mattress, {
+    id: 'recMattress',
+    photographers: [],
+    images: [],
+    title: 'Blue',
+    camera: [],
+    sold: false,
+    colors: [],
+    notes: null
+  });
+});
+
+test('included and excluded fields keep the fixed keys', () => {
+  const included = createRecordExporter(SCHEMA, {
+    allMatresses: { name: 'allMatresses', fieldNames: MATTRESS_FIELDS, include: ['title'], expandDepth: 1 }
+  });
+  assert.deepStrictEqual(
+    Object.keys(included.exportRecord('allMatresses', { id: 'recMattress', fields: {} })),
+    ['id', 'photographers', 'images', 'title']
+  );
+  
+  const excluded = createRecordExporter(SCHEMA, {
+    allMatresses: { name: 'allMatresses', fieldNames: MATTRESS_FIELDS, exclude: ['notes', 'photographer'], expandDepth: 1 }
+  });
+  assert.deepStrictEqual(
+    Object.keys(excluded.exportRecord('allMatresses', { id: 'recMattress', fields: {} })),
+    ['id', 'photographers', 'images', 'title', 'camera', 'sold', 'colors']
+  );
+});
+
+test('links are expanded to the configured depth', () => {
+  const exporter = createRecordExporter(SCHEMA, {
+    allMatresses: { name: 'allMatresses', fieldNames: MATTRESS_FIELDS, expandDepth: 1 },
+    photographer: { name: 'photographer', fieldNames: { name: 'photographerName' }, expandDepth: 1 }
+  });
+  exporter.setLinkedRecords('tblCameras', [{ id: 'recCamera', fields: { model: 'Leica M6' } }]);
+  exporter.setRecords('photographer', [
+    exporter.exportRecord('photographer', { id: 'recJane', fields: { photographerName: 'Jane', allMatresses: ['recMattress'] } })
+  ]);
+  
+  const mattress = exporter.exportRecord('allMatresses', { id: 'recMattress', fields: { photographer: ['recJane'], camera: ['recCamera', 'recGone'] } });
+  assert.deepStrictEqual(mattress.photographers, [{ id: 'recJane', name: 'Jane', allMatresses: ['recMattress'] }]);
+  // Linked records that weren't fetched keep their ID
+  assert.deepStrictEqual(mattress.camera, [{ id: 'recCamera', model: 'Leica M6' }, { id: 'recGone' }]);
+});
+
+test('tables that aren\'t archived are fetched only within the expansion depth', () => {
+  const tables = (expandDepth) => ({
+    allMatresses: { name: 'allMatresses', fieldNames: MATTRESS_FIELDS, expandDepth }
+  });
+  assert.deepStrictEqual(createRecordExporter(SCHEMA, tables(1)).linkedTables().map(table => table.id), ['tblPhotographers', 'tblCameras']);
+  assert.deepStrictEqual(createRecordExporter(SCHEMA, tables(0)).linkedTables(), []);
+});
+
+test('links of expanded archived records are followed within the expansion depth', () => {
+  // Photographers link to studios, which aren't archived
+  const schema = SCHEMA.map(table => (table.id === 'tblPhotographers'
+    ? { ...table, fields: [...table.fields, { id: 'fldStudio', name: 'studio', type: 'multipleRecordLinks', options: { linkedTableId: 'tblStudios' } }] }
+    : table
+  )).concat({ id: 'tblStudios', name: 'studios', primaryFieldId: 'fldStudioName', fields: [{ id: 'fldStudioName', name: 'studioName', type: 'singleLineText' }] });
+  const createExporterWithDepth = (expandDepth) => createRecordExporter(schema, {
+    allMatresses: { name: 'allMatresses', fieldNames: MATTRESS_FIELDS, expandDepth },
+    photographer: { name: 'photographer', fieldNames: { name: 'photographerName' }, expandDepth: 0 }
+  });
+  assert.deepStrictEqual(createExporterWithDepth(1).linkedTables().map(table => table.id), ['tblCameras']);
+  
+  const exporter = createExporterWithDepth(2);
+  assert.deepStrictEqual(exporter.linkedTables().map(table => table.id), ['tblStudios', 'tblCameras']);
+  exporter.setLinkedRecords('tblStudios', [{ id: 'recStudio', fields: { studioName: 'North' } }]);
+  exporter.setRecords('photographer', [
+    exporter.exportRecord('photographer', { id: 'recJane', fields: { photographerName: 'Jane', studio: ['recStudio'] } })
+  ]);
+  const mattress = exporter.exportRecord('allMatresses', { id: 'recMattress', fields: { photographer: ['recJane'] } });
+  assert.deepStrictEqual(mattress.photographers[0].studio, [{ id: 'recStudio', studioName: 'North' }]);
+});
+
+test('a table or fixed field missing from the schema is reported', () => {
+  assert.throws(() => createRecordExporter(SCHEMA, { tags: { name: 'tags' } }), /Table "tags" \(tags\) was not found/);
+  assert.throws(
+    () => createRecordExporter(SCHEMA, { allMatresses: { name: 'allMatresses', fieldNames: { location: 'location' } } }),
+    /Fields "location" were not found in table "allMatresses"/
+  );
+});
+
+function createExporter(expandDepth) {
+  const exporter = createRecordExporter(SCHEMA, {
+    allMatresses: { name: 'allMatresses', fieldNames: { photographers: 'photographer', images: 'images' }, expandDepth },
+    photographer: { name: 'photographer', fieldNames: { name: 'photographerName' }, expandDepth }
+  });
+  exporter.setLinkedRecords('tblCameras', [{ id: 'recCamera', fields: { model: 'Leica M6' } }]);
+  exporter.setRecords('photographer', [
+    exporter.exportRecord('photographer', { id: 'recJane', fields: { photographerName: 'Jane', allMatresses: ['recMattress'] } })
+  ]);
+  exporter.setRecords('allMatresses', [
+    exporter.exportRecord('allMatresses', { id: 'recMattress', fields: { title: 'Blue', photographer: ['recJane'], camera: ['recCamera'] } }, { images: [{ id: 'att1', path: 'images/recMattress/att1.jpg' }] })
+  ]);
+  return exporter;
+}
+
+test('links between archived tables stay IDs without a configured depth', () => {
+  const exporter = createExporter(undefined);
+  const photographer = exporter.relink('photographer', { id: 'recJane', name: 'Jane', allMatresses: ['recMattress'] });
+  assert.deepStrictEqual(photographer.allMatresses, ['recMattress']);
+  assert.deepStrictEqual(exporter.linkedTables().map(table => table.id), ['tblCameras']);
+  
+  const mattress = exporter.relink('allMatresses', { id: 'recMattress', title: 'Blue', photographers: ['recJane'], camera: ['recCamera'], images: [] });
+  // The fixed key keeps the name, links to other tables are expanded one level
+  assert.deepStrictEqual(mattress.photographers, [{ id: 'recJane', name: 'Jane' }]);
+  assert.deepStrictEqual(mattress.camera, [{ id: 'recCamera', model: 'Leica M6' }]);
+});
+
+test('a configured depth expands links between archived tables', () => {
+  const exporter = createExporter(1);
+  const photographer = exporter.relink('photographer', { id: 'recJane', name: 'Jane', allMatresses: ['recMattress'] });
+  assert.strictEqual(photographer.allMatresses[0].title, 'Blue');
+  assert.strictEqual(photographer.allMatresses[0].images.length, 1);
+});
+
+test('depth 0 keeps IDs except the names of fixed link keys', () => {
+  const exporter = createExporter(0);
+  const mattress = exporter.relink('allMatresses', { id: 'recMattress', title: 'Blue', photographers: ['recJane'], camera: ['recCamera'], images: [] });
+  assert.deepStrictEqual(mattress.photographers, [{ id: 'recJane', name: 'Jane' }]);
+  assert.deepStrictEqual(mattress.camera, ['recCamera']);
+});
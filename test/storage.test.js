@@ -0,0 +1,56 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { parseStorageUrl, createStorage } = require('../lib/storage');
+
+function withOutputDir(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mattress-archive-'));
+  return Promise.resolve(fn(dir)).finally(() => fs.removeSync(dir));
+}
+
+test('storage URLs name a bucket and a prefix', () => {
+  assert.deepStrictEqual(parseStorageUrl('s3://mattress-archive/data/'), { type: 's3', bucket: 'mattress-archive', prefix: 'data' });
+  assert.deepStrictEqual(parseStorageUrl('s3://mattress-archive'), { type: 's3', bucket: 'mattress-archive', prefix: '' });
+  assert.throws(() => parseStorageUrl('/mnt/archive'), { name: 'ConfigError' });
+});
+
+test('the storage is the output directory unless a bucket is configured', () => {
+  assert.strictEqual(createStorage({ OUTPUT_DIR: 'data' }).type, 'local');
+  // Creating the S3 client doesn't send any request
+  assert.strictEqual(createStorage({ OUTPUT_DIR: 'data', STORAGE: 's3://mattress-archive/data' }).type, 's3');
+});
+
+test('the local storage keeps keys as paths below the output directory', () => withOutputDir(async (dir) => {
+  const storage = createStorage({ OUTPUT_DIR: dir });
+  
+  await storage.writeStream('images/rec1/att1.jpg', Readable.from([Buffer.from('abcd')]), { size: 4 });
+  assert.deepStrictEqual(await storage.stat('images/rec1/att1.jpg'), { size: 4 });
+  assert.strictEqual(await storage.stat('images/rec1/att2.jpg'), null);
+  assert.strictEqual(await storage.checksum('images/rec1/att1.jpg'), '88d4266fd4e6338d13b845fcf289579d209c897823b9217da3e161936f031589');
+  assert.deepStrictEqual(await storage.list('images/rec1'), ['att1.jpg']);
+  assert.deepStrictEqual(await storage.list('images/rec2'), []);
+  
+  await storage.writeJson('tables/location.json', [{ id: 'recL1' }]);
+  assert.deepStrictEqual(await storage.readJson('tables/location.json'), [{ id: 'recL1' }]);
+  assert.strictEqual(await storage.readJson('sync-state.json'), null);
+  assert.strictEqual(storage.localPath('tables/location.json'), path.join(dir, 'tables', 'location.json'));
+  
+  await storage.remove('images');
+  assert.ok(!fs.existsSync(path.join(dir, 'images')));
+}));
+
+test('a failed write leaves no file behind', () => withOutputDir(async (dir) => {
+  const storage = createStorage({ OUTPUT_DIR: dir });
+  const failing = new Readable({
+    read() {
+      this.push('ab');
+      this.destroy(new Error('connection reset'));
+    }
+  });
+  
+  await assert.rejects(storage.writeStream('images/rec1/att1.jpg', failing, { size: 4 }), /connection reset/);
+  assert.deepStrictEqual(await storage.list('images/rec1'), []);
+}));